@@ -2,6 +2,7 @@
 // Smart Checkpoints — Admin
 // ==============================
 
+const usernameInput = document.getElementById("admin-username");
 const passwordInput = document.getElementById("admin-password");
 const loginBtn = document.getElementById("admin-login");
 const adminError = document.getElementById("admin-error");
@@ -9,32 +10,63 @@ const passwordGate = document.getElementById("password-gate");
 const adminDashboard = document.getElementById("admin-dashboard");
 const adminTbody = document.getElementById("admin-tbody");
 const projectCount = document.getElementById("project-count");
+const auditTbody = document.getElementById("audit-tbody");
+const adminUser = document.getElementById("admin-user");
+const logoutBtn = document.getElementById("admin-logout");
 
-let adminPassword = "";
+const API_KEY_SCOPES = ["report", "read", "edit", "driver"];
+const RATE_LIMIT_CLASSES = ["report", "read", "edit"];
+const openPanels = new Set(); // project ids whose details are expanded
+// A freshly minted or rotated key; the server never returns it again, so
+// it is shown once above that project's key list.
+let revealedKey = null; // { project_id, label, api_key }
 
 // --- Login ---
+// The server keeps the session in an HTTP-only cookie; this page only
+// needs to know whether it is logged in.
+function showDashboard(session) {
+  adminUser.textContent = `Signed in as ${session.user}`;
+  adminError.classList.add("hidden");
+  passwordGate.classList.add("hidden");
+  adminDashboard.classList.remove("hidden");
+  loadProjects();
+}
+
+function showLoginGate(message = null) {
+  adminDashboard.classList.add("hidden");
+  passwordGate.classList.remove("hidden");
+  passwordInput.value = "";
+  if (message) {
+    adminError.textContent = message;
+    adminError.classList.remove("hidden");
+  }
+}
+
 loginBtn.addEventListener("click", async () => {
   const password = passwordInput.value.trim();
   if (!password) return;
 
   try {
-    const res = await fetch("/admin/auth", {
+    const res = await fetch("/admin/login", {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ password }),
+      body: JSON.stringify({
+        username: usernameInput.value.trim() || undefined,
+        password,
+      }),
     });
+    const data = await res.json();
 
     if (!res.ok) {
+      adminError.textContent = data.error || "Invalid credentials";
       adminError.classList.remove("hidden");
       return;
     }
 
-    adminPassword = password;
-    adminError.classList.add("hidden");
-    passwordGate.classList.add("hidden");
-    adminDashboard.classList.remove("hidden");
-    loadProjects();
+    passwordInput.value = "";
+    showDashboard(data);
   } catch (err) {
+    adminError.textContent = "Login failed";
     adminError.classList.remove("hidden");
   }
 });
@@ -43,12 +75,26 @@ passwordInput.addEventListener("keydown", (e) => {
   if (e.key === "Enter") loginBtn.click();
 });
 
+logoutBtn.addEventListener("click", async () => {
+  await fetch("/admin/logout", { method: "POST" });
+  openPanels.clear();
+  revealedKey = null;
+  showLoginGate();
+});
+
+// Resume an existing session after a reload
+fetch("/admin/session")
+  .then((res) => (res.ok ? res.json() : null))
+  .then((session) => {
+    if (session) showDashboard(session);
+  })
+  .catch(() => {});
+
 // --- Load Projects ---
 async function loadProjects() {
   try {
-    const res = await fetch("/admin/projects", {
-      headers: { "x-admin-password": adminPassword },
-    });
+    const res = await adminRequest("/admin/projects");
+    if (!res.ok) return;
     const projects = await res.json();
 
     projectCount.textContent = `${projects.length} project${projects.length !== 1 ? "s" : ""}`;
@@ -63,10 +109,8 @@ async function loadProjects() {
       const tdName = document.createElement("td");
       tdName.textContent = p.project_name;
 
-      const tdKey = document.createElement("td");
-      tdKey.classList.add("api-key-cell");
-      tdKey.textContent = p.api_key;
-      tdKey.title = p.api_key;
+      const tdKeys = document.createElement("td");
+      tdKeys.textContent = p.active_keys || 0;
 
       const tdNodes = document.createElement("td");
       tdNodes.textContent = p.node_count || 0;
@@ -75,30 +119,434 @@ async function loadProjects() {
       tdConns.textContent = p.connection_count || 0;
 
       const tdAction = document.createElement("td");
-      const copyBtn = document.createElement("button");
-      copyBtn.classList.add("copy-btn");
-      copyBtn.textContent = "Copy Key";
-      copyBtn.addEventListener("click", () => {
-        navigator.clipboard.writeText(p.api_key);
-        copyBtn.textContent = "Copied!";
-        copyBtn.classList.add("copied");
-        setTimeout(() => {
-          copyBtn.textContent = "Copy Key";
-          copyBtn.classList.remove("copied");
-        }, 1500);
-      });
-      tdAction.appendChild(copyBtn);
+      tdAction.classList.add("project-actions");
+      const detailsBtn = actionButton("Details");
+      const renameBtn = actionButton("Rename", () => renameProject(p));
+      const resetBtn = actionButton("Reset Key", () => resetProjectKey(p));
+      const deleteBtn = actionButton("Delete", () => deleteProject(p));
+      deleteBtn.classList.add("danger-btn");
+      tdAction.append(detailsBtn, renameBtn, resetBtn, deleteBtn);
 
       tr.appendChild(tdId);
       tr.appendChild(tdName);
-      tr.appendChild(tdKey);
+      tr.appendChild(tdKeys);
       tr.appendChild(tdNodes);
       tr.appendChild(tdConns);
       tr.appendChild(tdAction);
 
+      // Expandable statistics and key list below the project row
+      const keysRow = document.createElement("tr");
+      keysRow.classList.add("keys-row");
+      const keysCell = document.createElement("td");
+      keysCell.colSpan = 6;
+      keysRow.appendChild(keysCell);
+      keysRow.classList.toggle("hidden", !openPanels.has(p.project_id));
+
+      detailsBtn.addEventListener("click", () => {
+        if (openPanels.has(p.project_id)) {
+          openPanels.delete(p.project_id);
+          keysRow.classList.add("hidden");
+        } else {
+          openPanels.add(p.project_id);
+          keysRow.classList.remove("hidden");
+          loadProjectDetails(p.project_id, keysCell);
+        }
+      });
+      if (openPanels.has(p.project_id)) {
+        loadProjectDetails(p.project_id, keysCell);
+      }
+
       adminTbody.appendChild(tr);
+      adminTbody.appendChild(keysRow);
     }
+    loadAudit();
   } catch (err) {
     console.error("Error loading projects:", err);
   }
 }
+
+function actionButton(text, onClick) {
+  const btn = document.createElement("button");
+  btn.classList.add("copy-btn");
+  btn.textContent = text;
+  if (onClick) btn.addEventListener("click", onClick);
+  return btn;
+}
+
+// --- Project Management ---
+async function renameProject(project) {
+  const name = prompt("New project name", project.project_name);
+  if (name === null || !name.trim() || name.trim() === project.project_name) {
+    return;
+  }
+  const res = await adminRequest(`/admin/projects/${project.project_id}`, {
+    method: "PATCH",
+    body: JSON.stringify({ "project-name": name.trim() }),
+  });
+  if (!res.ok) alert((await res.json()).error);
+  loadProjects();
+}
+
+async function resetProjectKey(project) {
+  if (
+    !confirm(
+      `Reset the keys of "${project.project_name}"? Every existing key stops working and one new key is created.`,
+    )
+  ) {
+    return;
+  }
+  const res = await adminRequest(
+    `/admin/projects/${project.project_id}/reset-key`,
+    { method: "POST" },
+  );
+  openPanels.add(project.project_id);
+  showNewKey(project.project_id, res);
+}
+
+async function deleteProject(project) {
+  const typed = prompt(
+    `This permanently deletes "${project.project_name}" with all its nodes, connections, cars and violations.\n\nType the project name to confirm:`,
+  );
+  if (typed === null) return;
+  if (typed !== project.project_name) {
+    alert("The name did not match; nothing was deleted.");
+    return;
+  }
+  await adminRequest(`/admin/projects/${project.project_id}`, {
+    method: "DELETE",
+  });
+  openPanels.delete(project.project_id);
+  loadProjects();
+}
+
+// --- Audit Trail ---
+async function loadAudit() {
+  try {
+    const res = await adminRequest("/admin/audit?limit=50");
+    const entries = await res.json();
+    auditTbody.innerHTML = "";
+    for (const entry of entries) {
+      const tr = document.createElement("tr");
+      const cells = [
+        formatDate(entry.timestamp),
+        entry.action,
+        entry.project_id ?? "—",
+        entry.actor || "—",
+        entry.details ? JSON.stringify(entry.details) : "",
+      ];
+      for (const value of cells) {
+        const td = document.createElement("td");
+        td.textContent = value;
+        tr.appendChild(td);
+      }
+      auditTbody.appendChild(tr);
+    }
+  } catch (err) {
+    console.error("Error loading audit trail:", err);
+  }
+}
+
+// --- API Keys ---
+// Requests carry the session cookie; an expired session sends the page
+// back to the login form.
+async function adminRequest(url, options = {}) {
+  const res = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json" },
+  });
+  if (res.status === 401) showLoginGate("Session expired, sign in again");
+  return res;
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : "—";
+}
+
+function copyButton(text) {
+  const btn = document.createElement("button");
+  btn.classList.add("copy-btn");
+  btn.textContent = "Copy";
+  btn.addEventListener("click", () => {
+    navigator.clipboard.writeText(text);
+    btn.textContent = "Copied!";
+    btn.classList.add("copied");
+    setTimeout(() => {
+      btn.textContent = "Copy";
+      btn.classList.remove("copied");
+    }, 1500);
+  });
+  return btn;
+}
+
+async function loadProjectDetails(projectId, container) {
+  try {
+    const [statsRes, keysRes, limitsRes] = await Promise.all([
+      adminRequest(`/admin/projects/${projectId}/stats`),
+      adminRequest(`/admin/projects/${projectId}/keys`),
+      adminRequest(`/admin/projects/${projectId}/rate-limits`),
+    ]);
+    const stats = await statsRes.json();
+    const keys = await keysRes.json();
+    const rateLimits = await limitsRes.json();
+    renderKeys(projectId, container, keys);
+    container.prepend(renderStats(stats));
+    container.appendChild(renderRateLimits(projectId, rateLimits));
+  } catch (err) {
+    console.error("Error loading project details:", err);
+  }
+}
+
+const STAT_LABELS = {
+  nodes: "Nodes",
+  connections: "Connections",
+  active_keys: "Active keys",
+  tracked_cars: "Tracked cars",
+  sightings: "Sightings",
+  violations: "Violations",
+  violations_24h: "Violations (24 h)",
+  recent_traversals: "Recent traversals",
+};
+
+function renderStats(stats) {
+  const grid = document.createElement("div");
+  grid.classList.add("stats-grid");
+  const entries = Object.entries(STAT_LABELS).map(([key, label]) => [
+    label,
+    stats[key] ?? 0,
+  ]);
+  entries.push(["Last sighting", formatDate(stats.last_sighting_at)]);
+  entries.push([
+    "Distance driver",
+    stats.distance_driver_connected ? "Connected" : "Offline",
+  ]);
+  for (const routeClass of RATE_LIMIT_CLASSES) {
+    entries.push([
+      `Throttled ${routeClass}`,
+      (stats.throttled && stats.throttled[routeClass]) || 0,
+    ]);
+  }
+  for (const [label, value] of entries) {
+    const item = document.createElement("div");
+    item.classList.add("stat-item");
+    const valueEl = document.createElement("strong");
+    valueEl.textContent = value;
+    const labelEl = document.createElement("span");
+    labelEl.textContent = label;
+    item.append(valueEl, labelEl);
+    grid.appendChild(item);
+  }
+  return grid;
+}
+
+// Remembers a key from a mint/rotate response and redraws the projects
+async function showNewKey(projectId, res) {
+  if (res.ok) {
+    const key = await res.json();
+    revealedKey = {
+      project_id: projectId,
+      label: key.label,
+      api_key: key.api_key,
+    };
+  }
+  loadProjects();
+}
+
+function renderRevealedKey(container) {
+  const box = document.createElement("div");
+  box.classList.add("key-reveal");
+  const text = document.createElement("span");
+  text.textContent = `New key${revealedKey.label ? ` for ${revealedKey.label}` : ""} (copy it now, it will not be shown again): `;
+  const code = document.createElement("code");
+  code.textContent = revealedKey.api_key;
+  box.append(text, code, copyButton(revealedKey.api_key));
+  container.appendChild(box);
+  revealedKey = null;
+}
+
+function renderKeys(projectId, container, keys) {
+  container.innerHTML = "";
+  if (revealedKey && revealedKey.project_id === projectId) {
+    renderRevealedKey(container);
+  }
+
+  const table = document.createElement("table");
+  table.classList.add("keys-table");
+  table.innerHTML = `<thead><tr>
+      <th>Label</th><th>Key</th><th>Scopes</th><th>Created</th>
+      <th>Last Used</th><th>Throttled</th><th></th>
+    </tr></thead>`;
+  const tbody = document.createElement("tbody");
+
+  for (const key of keys) {
+    const tr = document.createElement("tr");
+    if (key.revoked) tr.classList.add("revoked");
+
+    const tdLabel = document.createElement("td");
+    tdLabel.textContent = key.label || "—";
+
+    const tdKey = document.createElement("td");
+    tdKey.classList.add("api-key-cell");
+    tdKey.textContent = `${key.key_prefix}…`;
+
+    const tdScopes = document.createElement("td");
+    tdScopes.textContent = key.scopes.join(", ");
+
+    const tdCreated = document.createElement("td");
+    tdCreated.textContent = formatDate(key.created_at);
+
+    const tdUsed = document.createElement("td");
+    tdUsed.textContent = formatDate(key.last_used_at);
+
+    // Requests refused by the rate limiter since the server started
+    const tdThrottled = document.createElement("td");
+    const throttled = key.throttled || {};
+    tdThrottled.textContent = RATE_LIMIT_CLASSES.reduce(
+      (sum, routeClass) => sum + (throttled[routeClass] || 0),
+      0,
+    );
+    tdThrottled.title = RATE_LIMIT_CLASSES.map(
+      (routeClass) => `${routeClass}: ${throttled[routeClass] || 0}`,
+    ).join(", ");
+
+    const tdActions = document.createElement("td");
+    tdActions.classList.add("key-actions");
+    if (key.revoked) {
+      tdActions.textContent = `Revoked ${formatDate(key.revoked_at)}`;
+    } else {
+      const rotateBtn = document.createElement("button");
+      rotateBtn.classList.add("copy-btn");
+      rotateBtn.textContent = "Rotate";
+      rotateBtn.addEventListener("click", async () => {
+        if (
+          !confirm(
+            `Rotate "${key.label || key.key_id}"? The old key stops working.`,
+          )
+        )
+          return;
+        const res = await adminRequest(
+          `/admin/projects/${projectId}/keys/${key.key_id}/rotate`,
+          { method: "POST" },
+        );
+        showNewKey(projectId, res);
+      });
+
+      const revokeBtn = document.createElement("button");
+      revokeBtn.classList.add("copy-btn", "danger-btn");
+      revokeBtn.textContent = "Revoke";
+      revokeBtn.addEventListener("click", async () => {
+        if (!confirm(`Revoke "${key.label || key.key_id}"?`)) return;
+        await adminRequest(`/admin/projects/${projectId}/keys/${key.key_id}`, {
+          method: "DELETE",
+        });
+        loadProjects();
+      });
+
+      tdActions.append(rotateBtn, revokeBtn);
+    }
+
+    tr.append(
+      tdLabel,
+      tdKey,
+      tdScopes,
+      tdCreated,
+      tdUsed,
+      tdThrottled,
+      tdActions,
+    );
+    tbody.appendChild(tr);
+  }
+  table.appendChild(tbody);
+
+  // Mint form
+  const form = document.createElement("div");
+  form.classList.add("key-form");
+  const label = document.createElement("input");
+  label.type = "text";
+  label.placeholder = "Label (e.g. Camera 3)";
+  form.appendChild(label);
+
+  const checkboxes = API_KEY_SCOPES.map((scope) => {
+    const wrapper = document.createElement("label");
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.value = scope;
+    box.checked = scope === "report";
+    wrapper.append(box, ` ${scope}`);
+    form.appendChild(wrapper);
+    return box;
+  });
+
+  const createBtn = document.createElement("button");
+  createBtn.classList.add("copy-btn");
+  createBtn.textContent = "Create Key";
+  createBtn.addEventListener("click", async () => {
+    const scopes = checkboxes.filter((b) => b.checked).map((b) => b.value);
+    if (scopes.length === 0) return;
+    const res = await adminRequest(`/admin/projects/${projectId}/keys`, {
+      method: "POST",
+      body: JSON.stringify({ label: label.value.trim(), scopes }),
+    });
+    showNewKey(projectId, res);
+  });
+  form.appendChild(createBtn);
+
+  container.append(table, form);
+}
+
+// --- Rate Limits ---
+// One row per route class; empty fields fall back to the server defaults
+function renderRateLimits(projectId, rateLimits) {
+  const form = document.createElement("div");
+  form.classList.add("key-form", "rate-limit-form");
+  const title = document.createElement("strong");
+  title.textContent = "Rate limits";
+  form.appendChild(title);
+
+  const inputs = {};
+  for (const routeClass of RATE_LIMIT_CLASSES) {
+    const override = rateLimits.overrides[routeClass] || {};
+    const defaults = rateLimits.defaults[routeClass];
+    const wrapper = document.createElement("label");
+    const perMinute = limitInput(override.per_minute, defaults.per_minute);
+    const burst = limitInput(override.burst, defaults.burst);
+    wrapper.append(`${routeClass} `, perMinute, " / min, burst ", burst);
+    form.appendChild(wrapper);
+    inputs[routeClass] = { perMinute, burst };
+  }
+
+  const saveBtn = document.createElement("button");
+  saveBtn.classList.add("copy-btn");
+  saveBtn.textContent = "Save Limits";
+  saveBtn.addEventListener("click", async () => {
+    const limits = {};
+    for (const [routeClass, { perMinute, burst }] of Object.entries(inputs)) {
+      if (!perMinute.value && !burst.value) continue;
+      const defaults = rateLimits.defaults[routeClass];
+      limits[routeClass] = {
+        per_minute: parseInt(perMinute.value) || defaults.per_minute,
+        burst: parseInt(burst.value) || defaults.burst,
+      };
+    }
+    const res = await adminRequest(`/admin/projects/${projectId}/rate-limits`, {
+      method: "PUT",
+      body: JSON.stringify({ "rate-limits": limits }),
+    });
+    if (!res.ok) {
+      const data = await res.json();
+      alert(data.error || "Failed to save rate limits");
+      return;
+    }
+    loadProjects();
+  });
+  form.appendChild(saveBtn);
+  return form;
+}
+
+function limitInput(value, placeholder) {
+  const input = document.createElement("input");
+  input.type = "number";
+  input.min = "1";
+  input.value = value ?? "";
+  input.placeholder = placeholder;
+  return input;
+}
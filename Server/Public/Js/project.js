@@ -15,7 +15,7 @@
 
   // --- State ---
   let nodes = []; // { node_id, id_in_project, x_coord, y_coord }
-  let connections = []; // { connection_id, from_node_id, to_node_id, distance, speed_limit }
+  let connections = []; // { connection_id, from_node_id, to_node_id, distance, speed_limit, speed_schedule, class_limits }
   let settingsScale = 1.0; // Scale multiplier for node positions
 
   const NODE_RADIUS = 28;
@@ -37,6 +37,17 @@
   // Congestion state
   const congestionTarget = {}; // connection_id -> target C value
   const congestionDisplay = {}; // connection_id -> smoothly lerped display C
+  let congestionForecast = {}; // connection_id -> { 15, 30, 60 } forecast C
+  let forecastHorizon = null; // minutes ahead shown instead of now, or null
+
+  // Open incidents: connection_id -> { type: incident }
+  let incidents = {};
+  const INCIDENT_COLOR = "#ff8a5c";
+  const INCIDENT_LABELS = {
+    "congestion-spike": "Congestion spike",
+    "stalled-traffic": "Stalled traffic",
+    "flow-drop": "Flow drop",
+  };
 
   // Preload arrow head image
   const arrowHeadImg = new Image();
@@ -52,6 +63,14 @@
   let dragMouseX = 0;
   let dragMouseY = 0;
 
+  // Node move state (shift + drag)
+  let isMovingNode = false;
+  let movingNode = null;
+  let moveOffsetX = 0;
+  let moveOffsetY = 0;
+  let moveStartX = 0;
+  let moveStartY = 0;
+
   // Pan & Zoom state
   let panX = 0;
   let panY = 0;
@@ -68,9 +87,23 @@
   // Selected connection for editing
   let selectedConnection = null;
 
+  // Selected node for editing
+  let selectedNode = null;
+
   // Distance driver state
   let distanceDriverConnected = false;
 
+  // Highlighted car path: { plate, nodeIds: Set, connectionIds: Set }
+  let carPath = null;
+  const CAR_PATH_COLOR = "rgba(168, 127, 255, 0.45)";
+
+  // Route tool: routePick is "from" or "to" while nodes are being picked;
+  // route is { nodeIds: Set of id_in_project, connectionIds: Set }
+  let routePick = null;
+  let routeFrom = null;
+  let route = null;
+  const ROUTE_COLOR = "rgba(25, 196, 216, 0.45)";
+
   // --- Canvas Setup ---
   const canvas = document.getElementById("project-canvas");
   const ctx = canvas.getContext("2d");
@@ -228,7 +261,7 @@
 
   function drawNodes() {
     for (const node of nodes) {
-      const isHovered = hoveredNode === node;
+      const isHovered = hoveredNode === node || selectedNode === node;
       const flash = nodeFlashes[node.id_in_project];
       const hasFlash = flash && flash.alpha > 0;
 
@@ -248,6 +281,39 @@
         ctx.fill();
       }
 
+      // Route ring, also marking the start node while picking
+      if (
+        (route && route.nodeIds.has(node.id_in_project)) ||
+        routeFrom === node
+      ) {
+        ctx.beginPath();
+        ctx.arc(
+          node.x_coord * settingsScale,
+          node.y_coord * settingsScale,
+          NODE_RADIUS + 7,
+          0,
+          Math.PI * 2,
+        );
+        ctx.lineWidth = 6;
+        ctx.strokeStyle = ROUTE_COLOR;
+        ctx.stroke();
+      }
+
+      // Car path ring
+      if (carPath && carPath.nodeIds.has(node.node_id)) {
+        ctx.beginPath();
+        ctx.arc(
+          node.x_coord * settingsScale,
+          node.y_coord * settingsScale,
+          NODE_RADIUS + 7,
+          0,
+          Math.PI * 2,
+        );
+        ctx.lineWidth = 6;
+        ctx.strokeStyle = CAR_PATH_COLOR;
+        ctx.stroke();
+      }
+
       // Outer circle
       ctx.beginPath();
       ctx.arc(
@@ -299,7 +365,12 @@
 
       const isHovered = hoveredConnection === conn;
       const isSelected = selectedConnection === conn;
-      const cVal = congestionDisplay[conn.connection_id];
+      const forecast = forecastHorizon
+        ? congestionForecast[conn.connection_id]
+        : null;
+      const cVal = forecastHorizon
+        ? forecast && forecast[forecastHorizon]
+        : congestionDisplay[conn.connection_id];
       const color = getCongestionColor(cVal);
 
       const fX = fromNode.x_coord * settingsScale;
@@ -344,6 +415,28 @@
 
       ctx.save();
 
+      // Car path underlay
+      if (carPath && carPath.connectionIds.has(conn.connection_id)) {
+        ctx.beginPath();
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+        ctx.strokeStyle = CAR_PATH_COLOR;
+        ctx.lineWidth = 12;
+        ctx.lineCap = "round";
+        ctx.stroke();
+      }
+
+      // Route underlay
+      if (route && route.connectionIds.has(conn.connection_id)) {
+        ctx.beginPath();
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+        ctx.strokeStyle = ROUTE_COLOR;
+        ctx.lineWidth = 12;
+        ctx.lineCap = "round";
+        ctx.stroke();
+      }
+
       // Line
       ctx.beginPath();
       ctx.moveTo(x1, y1);
@@ -351,7 +444,20 @@
       ctx.strokeStyle =
         isHovered || isSelected ? darkenColor(color, 0.3) : color;
       ctx.lineWidth = isHovered || isSelected ? 4 : 3;
+      // Forecasts are dashed so they are not mistaken for live values
+      if (forecastHorizon) ctx.setLineDash([8, 6]);
       ctx.stroke();
+      ctx.setLineDash([]);
+
+      const connIncidents = incidents[conn.connection_id];
+      if (connIncidents && Object.keys(connIncidents).length > 0) {
+        drawIncidentMarker(
+          (x1 + x2) / 2,
+          (y1 + y2) / 2,
+          Object.keys(connIncidents),
+          isHovered || isSelected,
+        );
+      }
 
       // Arrowhead (drawn with arrow-head.png)
       if (arrowHeadImg.complete && arrowHeadImg.naturalWidth > 0) {
@@ -371,6 +477,43 @@
     }
   }
 
+  // Warning triangle at the middle of a connection; the incident types are
+  // listed next to it while the connection is hovered or selected
+  function drawIncidentMarker(x, y, types, showLabels) {
+    const size = 11;
+    ctx.save();
+    ctx.beginPath();
+    ctx.moveTo(x, y - size);
+    ctx.lineTo(x + size, y + size * 0.75);
+    ctx.lineTo(x - size, y + size * 0.75);
+    ctx.closePath();
+    ctx.fillStyle = INCIDENT_COLOR;
+    ctx.fill();
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = darkenColor(INCIDENT_COLOR, 0.35);
+    ctx.stroke();
+
+    ctx.fillStyle = "#ffffff";
+    ctx.font = "bold 12px sans-serif";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText("!", x, y + 1);
+
+    if (showLabels) {
+      ctx.font = "12px sans-serif";
+      ctx.textAlign = "left";
+      ctx.fillStyle = darkenColor(INCIDENT_COLOR, 0.5);
+      types.forEach((type, i) => {
+        ctx.fillText(
+          INCIDENT_LABELS[type] || type,
+          x + size + 6,
+          y + i * 15 - ((types.length - 1) * 15) / 2,
+        );
+      });
+    }
+    ctx.restore();
+  }
+
   function darkenColor(hex, amount) {
     const r = parseInt(hex.slice(1, 3), 16);
     const g = parseInt(hex.slice(3, 5), 16);
@@ -440,6 +583,14 @@
       return;
     }
 
+    if (isMovingNode) {
+      const world = screenToWorld(sx, sy);
+      movingNode.x_coord = (world.x - moveOffsetX) / settingsScale;
+      movingNode.y_coord = (world.y - moveOffsetY) / settingsScale;
+      draw();
+      return;
+    }
+
     if (isDragging) {
       dragMouseX = sx;
       dragMouseY = sy;
@@ -485,6 +636,23 @@
 
     const world = screenToWorld(sx, sy);
     const node = getNodeAt(world.x, world.y);
+    if (node && e.shiftKey) {
+      // Start moving the node
+      isMovingNode = true;
+      movingNode = node;
+      moveOffsetX = world.x - node.x_coord * settingsScale;
+      moveOffsetY = world.y - node.y_coord * settingsScale;
+      moveStartX = node.x_coord;
+      moveStartY = node.y_coord;
+      canvas.style.cursor = "move";
+      return;
+    }
+
+    if (node && routePick) {
+      pickRouteNode(node);
+      return;
+    }
+
     if (node) {
       // Start drag-connect
       isDragging = true;
@@ -500,6 +668,7 @@
       openConnectionEditor(conn);
     } else {
       closeConnectionEditor();
+      closeNodeEditor();
       // Start panning on left-click on empty space
       isPanning = true;
       panStartX = sx;
@@ -517,6 +686,17 @@
       return;
     }
 
+    if (isMovingNode) {
+      isMovingNode = false;
+      canvas.style.cursor = "";
+      const node = movingNode;
+      movingNode = null;
+      if (node.x_coord !== moveStartX || node.y_coord !== moveStartY) {
+        saveNodePosition(node, node.x_coord, node.y_coord);
+      }
+      return;
+    }
+
     if (!isDragging) return;
     isDragging = false;
     canvas.style.cursor = "";
@@ -529,6 +709,9 @@
     const targetNode = getNodeAt(world.x, world.y);
     if (targetNode && targetNode !== dragFromNode) {
       openNewConnectionModal(dragFromNode, targetNode);
+    } else if (targetNode === dragFromNode) {
+      // A click without dragging selects the node
+      openNodeEditor(targetNode);
     }
 
     dragFromNode = null;
@@ -561,6 +744,16 @@
   );
 
   canvas.addEventListener("mouseleave", () => {
+    if (isMovingNode) {
+      // Drop the node where it is rather than losing the move
+      isMovingNode = false;
+      canvas.style.cursor = "";
+      const node = movingNode;
+      movingNode = null;
+      if (node.x_coord !== moveStartX || node.y_coord !== moveStartY) {
+        saveNodePosition(node, node.x_coord, node.y_coord);
+      }
+    }
     if (isDragging) {
       isDragging = false;
       dragFromNode = null;
@@ -582,11 +775,142 @@
   const editSpeedLimit = document.getElementById("edit-speed-limit");
   const editSave = document.getElementById("edit-save");
   const editCancel = document.getElementById("edit-cancel");
+  const editDelete = document.getElementById("edit-delete");
+  const scheduleRules = document.getElementById("schedule-rules");
+  const scheduleAdd = document.getElementById("schedule-add");
+  const classLimitsList = document.getElementById("class-limits");
+  const classLimitAdd = document.getElementById("class-limit-add");
+
+  const DAY_LABELS = ["S", "M", "T", "W", "T", "F", "S"];
+  const WEEKDAYS = 0b0111110;
+  let editSchedule = []; // working copy of the selected connection's rules
+
+  function renderScheduleRules() {
+    scheduleRules.innerHTML = "";
+    editSchedule.forEach((rule, index) => {
+      const row = document.createElement("div");
+      row.classList.add("schedule-rule");
+
+      const days = document.createElement("div");
+      days.classList.add("schedule-days");
+      DAY_LABELS.forEach((label, day) => {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.textContent = label;
+        btn.classList.toggle("active", (rule.days & (1 << day)) !== 0);
+        btn.addEventListener("click", () => {
+          rule.days ^= 1 << day;
+          btn.classList.toggle("active", (rule.days & (1 << day)) !== 0);
+        });
+        days.appendChild(btn);
+      });
+
+      const times = document.createElement("div");
+      times.classList.add("schedule-times");
+      const start = document.createElement("input");
+      start.type = "time";
+      start.value = rule.start;
+      start.addEventListener("change", () => (rule.start = start.value));
+      const end = document.createElement("input");
+      end.type = "time";
+      end.value = rule.end;
+      end.addEventListener("change", () => (rule.end = end.value));
+      const limit = document.createElement("input");
+      limit.type = "number";
+      limit.min = "0";
+      limit.step = "1";
+      limit.value = rule.speed_limit;
+      limit.title = "Speed limit (km/h)";
+      limit.addEventListener(
+        "input",
+        () => (rule.speed_limit = parseFloat(limit.value)),
+      );
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.classList.add("schedule-remove");
+      remove.innerHTML = "&times;";
+      remove.title = "Remove rule";
+      remove.addEventListener("click", () => {
+        editSchedule.splice(index, 1);
+        renderScheduleRules();
+      });
+      times.append(start, end, limit, remove);
+
+      row.append(days, times);
+      scheduleRules.appendChild(row);
+    });
+  }
+
+  scheduleAdd.addEventListener("click", () => {
+    editSchedule.push({
+      days: WEEKDAYS,
+      start: "07:00",
+      end: "09:00",
+      speed_limit: 30,
+    });
+    renderScheduleRules();
+  });
+
+  let editClassLimits = []; // [{ vehicle_class, speed_limit }] being edited
+
+  function renderClassLimits() {
+    classLimitsList.innerHTML = "";
+    editClassLimits.forEach((entry, index) => {
+      const row = document.createElement("div");
+      row.classList.add("schedule-times", "class-limit-row");
+
+      const name = document.createElement("input");
+      name.type = "text";
+      name.value = entry.vehicle_class;
+      name.placeholder = "Class (e.g. truck)";
+      name.addEventListener(
+        "input",
+        () => (entry.vehicle_class = name.value.trim().toLowerCase()),
+      );
+      const limit = document.createElement("input");
+      limit.type = "number";
+      limit.min = "0";
+      limit.step = "1";
+      limit.value = entry.speed_limit;
+      limit.title = "Speed limit (km/h)";
+      limit.addEventListener(
+        "input",
+        () => (entry.speed_limit = parseFloat(limit.value)),
+      );
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.classList.add("schedule-remove");
+      remove.innerHTML = "&times;";
+      remove.title = "Remove class limit";
+      remove.addEventListener("click", () => {
+        editClassLimits.splice(index, 1);
+        renderClassLimits();
+      });
+
+      row.append(name, limit, remove);
+      classLimitsList.appendChild(row);
+    });
+  }
+
+  classLimitAdd.addEventListener("click", () => {
+    editClassLimits.push({ vehicle_class: "", speed_limit: 60 });
+    renderClassLimits();
+  });
 
   function openConnectionEditor(conn) {
+    closeNodeEditor();
     selectedConnection = conn;
     editDistance.value = conn.distance || "";
     editSpeedLimit.value = conn.speed_limit || "";
+    editSchedule = (conn.speed_schedule || []).map((rule) => ({ ...rule }));
+    renderScheduleRules();
+    editClassLimits = Object.entries(conn.class_limits || {}).map(
+      ([vehicleClass, limit]) => ({
+        vehicle_class: vehicleClass,
+        speed_limit: limit,
+      }),
+    );
+    renderClassLimits();
     editDistance.disabled = distanceDriverConnected;
     editorPanel.classList.remove("hidden");
     draw();
@@ -603,20 +927,50 @@
     const distance = parseFloat(editDistance.value);
     const speedLimit = parseFloat(editSpeedLimit.value);
     if (isNaN(distance) || isNaN(speedLimit)) return;
+    const schedule = editSchedule.filter(
+      (rule) => rule.days > 0 && rule.start && rule.end && rule.speed_limit > 0,
+    );
+    const classLimits = {};
+    for (const entry of editClassLimits) {
+      if (entry.vehicle_class && entry.speed_limit > 0) {
+        classLimits[entry.vehicle_class] = entry.speed_limit;
+      }
+    }
 
     socket.emit("update-connection", {
       connection_id: selectedConnection.connection_id,
       distance,
       speed_limit: speedLimit,
+      speed_schedule: schedule,
+      class_limits: classLimits,
     });
 
     selectedConnection.distance = distance;
     selectedConnection.speed_limit = speedLimit;
+    selectedConnection.speed_schedule = schedule;
+    selectedConnection.class_limits = classLimits;
+    updateVehicleClassOptions();
     closeConnectionEditor();
   });
 
   editCancel.addEventListener("click", closeConnectionEditor);
 
+  editDelete.addEventListener("click", () => {
+    if (!selectedConnection) return;
+    const fromNode = getNodeById(selectedConnection.from_node_id);
+    const toNode = getNodeById(selectedConnection.to_node_id);
+    const label =
+      fromNode && toNode
+        ? `${fromNode.id_in_project} → ${toNode.id_in_project}`
+        : selectedConnection.connection_id;
+    if (!confirm(`Delete connection ${label}?`)) return;
+
+    socket.emit("delete-connection", {
+      connection_id: selectedConnection.connection_id,
+    });
+    closeConnectionEditor();
+  });
+
   // Enter to save in editor
   editDistance.addEventListener("keydown", (e) => {
     if (e.key === "Enter") editSave.click();
@@ -625,6 +979,118 @@
     if (e.key === "Enter") editSave.click();
   });
 
+  // --- Node Editor ---
+  const nodeEditorPanel = document.getElementById("node-editor");
+  const nodeEditorTitle = document.getElementById("node-editor-title");
+  const nodeEditX = document.getElementById("node-edit-x");
+  const nodeEditY = document.getElementById("node-edit-y");
+  const nodeEditSave = document.getElementById("node-edit-save");
+  const nodeEditDelete = document.getElementById("node-edit-delete");
+  const nodeEditCancel = document.getElementById("node-edit-cancel");
+
+  function openNodeEditor(node) {
+    closeConnectionEditor();
+    selectedNode = node;
+    nodeEditorTitle.textContent = `Node ${node.id_in_project}`;
+    nodeEditX.value = node.x_coord;
+    nodeEditY.value = node.y_coord;
+    nodeEditorPanel.classList.remove("hidden");
+    draw();
+  }
+
+  function closeNodeEditor() {
+    if (!selectedNode && nodeEditorPanel.classList.contains("hidden")) return;
+    selectedNode = null;
+    nodeEditorPanel.classList.add("hidden");
+    draw();
+  }
+
+  async function saveNodePosition(node, xCoord, yCoord) {
+    try {
+      const res = await fetch(`/node/${node.node_id}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json", "x-api-key": apiKey },
+        body: JSON.stringify({ "x-coord": xCoord, "y-coord": yCoord }),
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      node.x_coord = xCoord;
+      node.y_coord = yCoord;
+      if (selectedNode === node) {
+        nodeEditX.value = xCoord;
+        nodeEditY.value = yCoord;
+      }
+      draw();
+    } catch (err) {
+      console.error("Error moving node:", err);
+    }
+  }
+
+  async function deleteNode(node) {
+    if (!confirm(`Delete node ${node.id_in_project} and all its connections?`))
+      return;
+    try {
+      const res = await fetch(`/node/${node.node_id}`, {
+        method: "DELETE",
+        headers: { "x-api-key": apiKey },
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      removeNodeLocally(node.node_id, data.removed_connections);
+    } catch (err) {
+      console.error("Error deleting node:", err);
+    }
+  }
+
+  function removeNodeLocally(nodeId, connectionIds = []) {
+    if (selectedNode && selectedNode.node_id === nodeId) closeNodeEditor();
+    if (
+      selectedConnection &&
+      (selectedConnection.from_node_id === nodeId ||
+        selectedConnection.to_node_id === nodeId)
+    ) {
+      closeConnectionEditor();
+    }
+    if (hoveredNode && hoveredNode.node_id === nodeId) hoveredNode = null;
+    hoveredConnection = null;
+
+    nodes = nodes.filter((n) => n.node_id !== nodeId);
+    connections = connections.filter(
+      (c) =>
+        !connectionIds.includes(c.connection_id) &&
+        c.from_node_id !== nodeId &&
+        c.to_node_id !== nodeId,
+    );
+    draw();
+  }
+
+  nodeEditSave.addEventListener("click", () => {
+    if (!selectedNode) return;
+    const xCoord = parseFloat(nodeEditX.value);
+    const yCoord = parseFloat(nodeEditY.value);
+    if (isNaN(xCoord) || isNaN(yCoord)) return;
+    saveNodePosition(selectedNode, xCoord, yCoord);
+  });
+
+  nodeEditDelete.addEventListener("click", () => {
+    if (selectedNode) deleteNode(selectedNode);
+  });
+
+  nodeEditCancel.addEventListener("click", closeNodeEditor);
+
+  nodeEditX.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") nodeEditSave.click();
+  });
+  nodeEditY.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") nodeEditSave.click();
+  });
+
+  // Delete key removes the selected node (when not typing in an input)
+  document.addEventListener("keydown", (e) => {
+    if (e.key !== "Delete" || !selectedNode) return;
+    if (e.target instanceof HTMLInputElement) return;
+    deleteNode(selectedNode);
+  });
+
   // --- New Connection Modal ---
   const newConnModal = document.getElementById("new-connection-modal");
   const newConnSubtitle = document.getElementById("new-conn-subtitle");
@@ -702,8 +1168,21 @@
   const violationsToggle = document.getElementById("violations-toggle");
   const violationsTbody = document.getElementById("violations-tbody");
   const violationsEmpty = document.getElementById("violations-empty");
+  const violationsBody = document.querySelector(".violations-body");
+  const violationsCount = document.getElementById("violations-count");
+  const violationsSearch = document.getElementById("violations-search");
+  const violationsClass = document.getElementById("violations-class");
+  const violationsFormat = document.getElementById("violations-format");
+  const violationsDownload = document.getElementById("violations-download");
   let violationsOpen = false;
 
+  // Paging state for the violations list
+  const VIOLATIONS_PAGE_SIZE = 50;
+  let violationsCursor = null; // next_cursor from the last page, null at end
+  let violationsLoading = false;
+  let violationsTotal = 0;
+  let violationsRequest = 0; // bumped on reset so stale pages are dropped
+
   violationsToggle.addEventListener("click", () => {
     violationsOpen = !violationsOpen;
     violationsPanel.classList.toggle("open", violationsOpen);
@@ -731,14 +1210,21 @@
     const tdPlate = document.createElement("td");
     tdPlate.textContent = violation.car_plate;
 
+    const tdClass = document.createElement("td");
+    tdClass.textContent = violation.vehicle_class || "—";
+
     const tdSpeed = document.createElement("td");
     tdSpeed.classList.add("speed-cell");
     tdSpeed.textContent = `${Math.round(violation.car_speed)} km/h`;
 
     tr.appendChild(tdTime);
     tr.appendChild(tdPlate);
+    tr.appendChild(tdClass);
     tr.appendChild(tdSpeed);
 
+    tr.title = "Show this car's path";
+    tr.addEventListener("click", () => showCarPath(violation.car_plate));
+
     if (prepend) {
       violationsTbody.prepend(tr);
     } else {
@@ -746,25 +1232,275 @@
     }
   }
 
-  async function loadViolations() {
+  function updateViolationsCount() {
+    violationsCount.textContent = violationsTotal > 0 ? violationsTotal : "";
+  }
+
+  function getViolationFilterParams() {
+    const query = new URLSearchParams();
+    const plate = violationsSearch.value.trim();
+    if (plate) query.set("plate-prefix", plate);
+    if (violationsClass.value)
+      query.set("vehicle-class", violationsClass.value);
+    return query;
+  }
+
+  // Class filter options: the usual classes plus any with limits on the map
+  const DEFAULT_VEHICLE_CLASSES = ["car", "truck", "bus", "motorcycle"];
+
+  function updateVehicleClassOptions() {
+    const classes = new Set(DEFAULT_VEHICLE_CLASSES);
+    for (const conn of connections) {
+      for (const vehicleClass of Object.keys(conn.class_limits || {})) {
+        classes.add(vehicleClass);
+      }
+    }
+    const selected = violationsClass.value;
+    violationsClass.length = 1; // keep "All vehicle classes"
+    for (const vehicleClass of [...classes].sort()) {
+      violationsClass.add(new Option(vehicleClass, vehicleClass));
+    }
+    violationsClass.value = classes.has(selected) ? selected : "";
+  }
+
+  // Loads the next page of violations; pass reset to start over (e.g. when
+  // the filter changes).
+  async function loadViolations(reset = false) {
+    if (reset) {
+      violationsRequest++;
+      violationsCursor = null;
+      violationsLoading = false;
+      violationsTbody.innerHTML = "";
+    } else if (violationsLoading || violationsCursor === null) {
+      return;
+    }
+    violationsLoading = true;
+    const request = violationsRequest;
+
+    const query = getViolationFilterParams();
+    query.set("limit", VIOLATIONS_PAGE_SIZE);
+    if (violationsCursor) query.set("cursor", violationsCursor);
+
     try {
-      const res = await fetch(`/project/${projectId}/violations`, {
+      const res = await fetch(`/project/${projectId}/violations?${query}`, {
         headers: { "x-api-key": apiKey },
       });
-      const violations = await res.json();
-      if (violations.length === 0) {
+      const page = await res.json();
+      if (request !== violationsRequest) return;
+
+      violationsCursor = page.next_cursor;
+      violationsTotal = page.total;
+      updateViolationsCount();
+      if (
+        violationsTbody.children.length === 0 &&
+        page.violations.length === 0
+      ) {
         violationsEmpty.style.display = "";
       } else {
         violationsEmpty.style.display = "none";
-        for (const v of violations) {
+        for (const v of page.violations) {
           addViolationRow(v);
         }
       }
     } catch (err) {
       console.error("Error loading violations:", err);
+    } finally {
+      if (request === violationsRequest) violationsLoading = false;
+    }
+  }
+
+  // Load more when scrolled near the bottom of the list
+  violationsBody.addEventListener("scroll", () => {
+    const remaining =
+      violationsBody.scrollHeight -
+      violationsBody.scrollTop -
+      violationsBody.clientHeight;
+    if (remaining < 120) loadViolations();
+  });
+
+  let violationsSearchTimer = null;
+  violationsSearch.addEventListener("input", () => {
+    clearTimeout(violationsSearchTimer);
+    violationsSearchTimer = setTimeout(() => loadViolations(true), 250);
+  });
+
+  violationsClass.addEventListener("change", () => loadViolations(true));
+
+  // The export needs the API key header, so fetch it and hand the result to
+  // the browser as a blob rather than linking to the endpoint directly.
+  violationsDownload.addEventListener("click", async () => {
+    const query = getViolationFilterParams();
+    query.set("format", violationsFormat.value);
+    violationsDownload.disabled = true;
+    try {
+      const res = await fetch(
+        `/project/${projectId}/violations/export?${query}`,
+        { headers: { "x-api-key": apiKey } },
+      );
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const blob = await res.blob();
+      const extension = violationsFormat.value === "ndjson" ? "ndjson" : "csv";
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(blob);
+      link.download = `violations-project-${projectId}.${extension}`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    } catch (err) {
+      console.error("Error downloading violations:", err);
+    } finally {
+      violationsDownload.disabled = false;
+    }
+  });
+
+  // Whether a live violation should show up under the current filter
+  function matchesViolationFilter(violation) {
+    const plate = violationsSearch.value.trim();
+    const vehicleClass = violationsClass.value;
+    return (
+      (!plate || String(violation.car_plate).startsWith(plate)) &&
+      (!vehicleClass || violation.vehicle_class === vehicleClass)
+    );
+  }
+
+  function addLiveViolation(violation) {
+    if (!matchesViolationFilter(violation)) return;
+    violationsTotal++;
+    updateViolationsCount();
+    addViolationRow(violation, true, true);
+  }
+
+  // --- Car Path ---
+  const carPathBanner = document.getElementById("car-path-banner");
+  const carPathLabel = document.getElementById("car-path-label");
+  const carPathClose = document.getElementById("car-path-close");
+
+  async function showCarPath(plate) {
+    try {
+      const res = await fetch(
+        `/project/${projectId}/cars/${encodeURIComponent(plate)}/history`,
+        { headers: { "x-api-key": apiKey } },
+      );
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const history = await res.json();
+
+      carPath = {
+        plate,
+        nodeIds: new Set(history.sightings.map((s) => s.node_id)),
+        connectionIds: new Set(
+          history.sightings.flatMap((s) => s.path_connection_ids),
+        ),
+      };
+      const count = history.sightings.length;
+      carPathLabel.textContent = `Path of ${plate} · ${count} sighting${count !== 1 ? "s" : ""}`;
+      carPathBanner.classList.remove("hidden");
+      draw();
+    } catch (err) {
+      console.error("Error loading car history:", err);
+    }
+  }
+
+  function clearCarPath() {
+    carPath = null;
+    carPathBanner.classList.add("hidden");
+    draw();
+  }
+
+  carPathClose.addEventListener("click", clearCarPath);
+
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && carPath) clearCarPath();
+  });
+
+  // --- Route Tool ---
+  const routeToggle = document.getElementById("route-toggle");
+  const routeBanner = document.getElementById("route-banner");
+  const routeLabel = document.getElementById("route-label");
+  const routeClose = document.getElementById("route-close");
+
+  function formatDuration(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = Math.round(seconds % 60);
+    return minutes > 0 ? `${minutes} min ${rest} s` : `${rest} s`;
+  }
+
+  function showRouteMessage(text) {
+    routeLabel.textContent = text;
+    routeBanner.classList.remove("hidden");
+  }
+
+  function startRoute() {
+    routePick = "from";
+    routeFrom = null;
+    route = null;
+    routeToggle.classList.add("active");
+    showRouteMessage("Route: click the start node");
+    draw();
+  }
+
+  function clearRoute() {
+    routePick = null;
+    routeFrom = null;
+    route = null;
+    routeToggle.classList.remove("active");
+    routeBanner.classList.add("hidden");
+    draw();
+  }
+
+  async function pickRouteNode(node) {
+    if (routePick === "from") {
+      routeFrom = node;
+      routePick = "to";
+      showRouteMessage(
+        `Route from ${node.id_in_project}: click the destination`,
+      );
+      draw();
+      return;
+    }
+    if (node === routeFrom) return;
+
+    const from = routeFrom.id_in_project;
+    routePick = null;
+    routeFrom = null;
+    try {
+      const res = await fetch(
+        `/project/${projectId}/route?from=${from}&to=${node.id_in_project}`,
+        { headers: { "x-api-key": apiKey } },
+      );
+      const data = await res.json();
+      if (!res.ok) {
+        showRouteMessage(data.error);
+        draw();
+        return;
+      }
+      const { fastest, free_flow: freeFlow } = data;
+      route = {
+        nodeIds: new Set(fastest.path),
+        connectionIds: new Set(fastest.edges.map((e) => e.connection_id)),
+      };
+      // Compare with the route that is fastest without traffic
+      const comparison =
+        freeFlow.path.join() === fastest.path.join()
+          ? `${formatDuration(fastest.free_flow_time)} without traffic`
+          : `via ${freeFlow.path.join(" → ")}: ${formatDuration(freeFlow.travel_time)}`;
+      showRouteMessage(
+        `${fastest.path.join(" → ")} · ${formatDuration(fastest.travel_time)} (${comparison})`,
+      );
+    } catch (err) {
+      console.error("Error loading route:", err);
     }
+    draw();
   }
 
+  routeToggle.addEventListener("click", () => {
+    if (routePick || route) clearRoute();
+    else startRoute();
+  });
+  routeClose.addEventListener("click", clearRoute);
+
+  document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && (routePick || route)) clearRoute();
+  });
+
   // --- Node Flash ---
   function flashNode(idInProject) {
     nodeFlashes[idInProject] = { alpha: 1.0 };
@@ -792,7 +1528,30 @@
 
     nodes = await nodesRes.json();
     connections = await connsRes.json();
+    updateVehicleClassOptions();
     draw();
+    loadIncidents();
+  }
+
+  async function loadIncidents() {
+    try {
+      const res = await fetch(`/project/${projectId}/incidents?status=open`, {
+        headers: { "x-api-key": apiKey },
+      });
+      if (!res.ok) return;
+      const data = await res.json();
+      incidents = {};
+      for (const incident of data.incidents) addIncident(incident);
+      draw();
+    } catch (err) {
+      console.error("Failed to load incidents:", err);
+    }
+  }
+
+  function addIncident(incident) {
+    const connIncidents = (incidents[incident.connection_id] =
+      incidents[incident.connection_id] || {});
+    connIncidents[incident.type] = incident;
   }
 
   // --- Socket.IO ---
@@ -819,6 +1578,27 @@
     }
   });
 
+  socket.on("node-updated", (data) => {
+    const node = getNodeById(data.node_id);
+    if (node && node !== movingNode) {
+      node.x_coord = data.x_coord;
+      node.y_coord = data.y_coord;
+      if (selectedNode === node) {
+        nodeEditX.value = data.x_coord;
+        nodeEditY.value = data.y_coord;
+      }
+      draw();
+    }
+  });
+
+  socket.on("node-removed", (data) => {
+    if (movingNode && movingNode.node_id === data.node_id) {
+      isMovingNode = false;
+      movingNode = null;
+    }
+    removeNodeLocally(data.node_id, data.connection_ids);
+  });
+
   socket.on("connection-added", (data) => {
     if (!connections.find((c) => c.connection_id === data.connection_id)) {
       connections.push({
@@ -827,6 +1607,8 @@
         to_node_id: data.to_node_id,
         distance: data.distance,
         speed_limit: data.speed_limit,
+        speed_schedule: [],
+        class_limits: {},
       });
       draw();
     }
@@ -839,10 +1621,55 @@
     if (conn) {
       conn.distance = data.distance;
       conn.speed_limit = data.speed_limit;
+      if (data.speed_schedule !== undefined) {
+        conn.speed_schedule = data.speed_schedule;
+      }
+      if (data.class_limits !== undefined) {
+        conn.class_limits = data.class_limits;
+        updateVehicleClassOptions();
+      }
       draw();
     }
   });
 
+  socket.on("connection-removed", (data) => {
+    if (
+      selectedConnection &&
+      selectedConnection.connection_id === data.connection_id
+    ) {
+      closeConnectionEditor();
+    }
+    if (
+      hoveredConnection &&
+      hoveredConnection.connection_id === data.connection_id
+    ) {
+      hoveredConnection = null;
+    }
+    connections = connections.filter(
+      (c) => c.connection_id !== data.connection_id,
+    );
+    delete congestionTarget[data.connection_id];
+    delete congestionDisplay[data.connection_id];
+    delete congestionForecast[data.connection_id];
+    delete incidents[data.connection_id];
+    draw();
+  });
+
+  socket.on("graph-reloaded", () => {
+    closeConnectionEditor();
+    closeNodeEditor();
+    hoveredNode = null;
+    hoveredConnection = null;
+    for (const connId of Object.keys(congestionTarget)) {
+      delete congestionTarget[connId];
+      delete congestionDisplay[connId];
+    }
+    congestionForecast = {};
+    incidents = {};
+    if (route) clearRoute();
+    loadProjectData();
+  });
+
   socket.on("node-triggered", (data) => {
     const idInProject = data.id_in_project;
     if (idInProject !== undefined) {
@@ -851,19 +1678,57 @@
   });
 
   socket.on("violation-added", (data) => {
-    addViolationRow(data, true, true);
+    addLiveViolation(data);
+  });
+
+  // Batched reports arrive as one event per type
+  socket.on("nodes-triggered", (data) => {
+    for (const trigger of data.triggers) {
+      flashNode(trigger.id_in_project);
+    }
+  });
+
+  socket.on("violations-added", (data) => {
+    for (const v of data.violations) {
+      addLiveViolation(v);
+    }
   });
 
   socket.on("error", (data) => {
     console.error("Socket error:", data.message);
   });
 
+  // Only changed values are sent; null means the connection has had no
+  // traffic for a while
   socket.on("congestion-update", (data) => {
     for (const [connId, cValue] of Object.entries(data)) {
-      congestionTarget[connId] = cValue;
+      if (cValue === null) {
+        delete congestionTarget[connId];
+        delete congestionDisplay[connId];
+        delete congestionForecast[connId];
+      } else {
+        congestionTarget[connId] = cValue;
+      }
     }
   });
 
+  // Every forecast of the project, sent once a minute
+  socket.on("congestion-forecast", (data) => {
+    congestionForecast = data;
+    if (forecastHorizon) draw();
+  });
+
+  socket.on("incident-opened", (data) => {
+    addIncident(data);
+    draw();
+  });
+
+  socket.on("incident-closed", (data) => {
+    const connIncidents = incidents[data.connection_id];
+    if (connIncidents) delete connIncidents[data.type];
+    draw();
+  });
+
   socket.on("distance-driver-status", (data) => {
     distanceDriverConnected = data.connected;
     console.log(
@@ -940,7 +1805,23 @@
     });
   }
 
+  // --- Forecast Overlay ---
+  const forecastSelect = document.getElementById("forecast-horizon");
+  const legendTitle = document.querySelector(
+    "#congestion-legend .legend-title",
+  );
+
+  if (forecastSelect) {
+    forecastSelect.addEventListener("change", () => {
+      forecastHorizon = forecastSelect.value || null;
+      legendTitle.textContent = forecastHorizon
+        ? `Forecast +${forecastHorizon} min`
+        : "Traffic Density";
+      draw();
+    });
+  }
+
   // --- Init ---
   loadProjectData();
-  loadViolations();
+  loadViolations(true);
 })();
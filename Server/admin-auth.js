@@ -0,0 +1,203 @@
+// Admin sessions for the /admin pages and endpoints.
+//
+// Admins log in once and get an HTTP-only cookie holding a session id and
+// expiry signed with ADMIN_SESSION_SECRET (a random secret per process when
+// unset, which logs everyone out on restart). Sessions are also kept in
+// memory so logging out invalidates the cookie straight away.
+//
+// Credentials come from either
+//   ADMIN_PASSWORD  a single shared password (user name "admin"), or
+//   ADMIN_USERS     "alice:<hash>,bob:<hash>" with hashes made by
+//                   `node Server/admin-auth.js hash <password>`.
+
+const crypto = require("crypto");
+
+const SESSION_COOKIE = "sc_admin_session";
+const SESSION_TTL_MS = 8 * 60 * 60 * 1000; // 8 hours
+
+// Failed logins per client address: after MAX_FAILED_LOGINS inside
+// LOGIN_WINDOW_MS further attempts are refused until the window ends.
+const MAX_FAILED_LOGINS = 5;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+const sessionSecret =
+  process.env.ADMIN_SESSION_SECRET || crypto.randomBytes(32).toString("hex");
+const sessions = {}; // session id -> { user, expires }
+const failedLogins = {}; // address -> { count, resetAt }
+
+// --- Passwords ---
+function hashAdminPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 32);
+  return `scrypt:${salt.toString("hex")}:${hash.toString("hex")}`;
+}
+
+function verifyAdminPassword(password, stored) {
+  const [scheme, salt, hash] = stored.split(":");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(password, Buffer.from(salt, "hex"), 32);
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+}
+
+function safeEqual(a, b) {
+  // Compare digests so differing lengths do not leak through timing
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+function readAdminUsers() {
+  const users = {};
+  for (const entry of (process.env.ADMIN_USERS || "").split(",")) {
+    const separator = entry.indexOf(":");
+    if (separator > 0) {
+      users[entry.slice(0, separator).trim()] = entry.slice(separator + 1);
+    }
+  }
+  return users;
+}
+
+// Resolves the user name for valid credentials, or null
+function checkCredentials(username, password) {
+  if (typeof password !== "string" || !password) return null;
+  const users = readAdminUsers();
+  if (Object.keys(users).length > 0) {
+    const stored = users[username];
+    return stored && verifyAdminPassword(password, stored) ? username : null;
+  }
+  const shared = process.env.ADMIN_PASSWORD;
+  if (!shared) return null;
+  return safeEqual(password, shared) ? "admin" : null;
+}
+
+// --- Login throttling ---
+function loginRetryAfter(address) {
+  const entry = failedLogins[address];
+  if (!entry || entry.resetAt <= Date.now()) return 0;
+  return entry.count >= MAX_FAILED_LOGINS
+    ? Math.ceil((entry.resetAt - Date.now()) / 1000)
+    : 0;
+}
+
+function recordFailedLogin(address) {
+  const now = Date.now();
+  const entry = failedLogins[address];
+  if (!entry || entry.resetAt <= now) {
+    failedLogins[address] = { count: 1, resetAt: now + LOGIN_WINDOW_MS };
+  } else {
+    entry.count++;
+  }
+}
+
+// --- Sessions ---
+function sign(value) {
+  return crypto
+    .createHmac("sha256", sessionSecret)
+    .update(value)
+    .digest("base64url");
+}
+
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || "").split(";")) {
+    const separator = part.indexOf("=");
+    if (separator > 0 && part.slice(0, separator).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(separator + 1).trim());
+      } catch (err) {
+        // A malformed cookie is no session
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+function setSessionCookie(req, res, value, maxAgeMs) {
+  const attributes = [
+    `${SESSION_COOKIE}=${encodeURIComponent(value)}`,
+    "Path=/admin",
+    "HttpOnly",
+    "SameSite=Strict",
+    `Max-Age=${Math.floor(maxAgeMs / 1000)}`,
+  ];
+  if (req.secure) attributes.push("Secure");
+  res.setHeader("Set-Cookie", attributes.join("; "));
+}
+
+function createSession(req, res, user) {
+  const id = crypto.randomBytes(18).toString("base64url");
+  const expires = Date.now() + SESSION_TTL_MS;
+  sessions[id] = { user, expires };
+  const payload = `${id}.${expires}`;
+  setSessionCookie(req, res, `${payload}.${sign(payload)}`, SESSION_TTL_MS);
+  return { user, expires };
+}
+
+// Resolves the live session for the request's cookie, or null
+function readSession(req) {
+  const cookie = readCookie(req, SESSION_COOKIE);
+  if (!cookie) return null;
+  const [id, expires, signature] = cookie.split(".");
+  if (!id || !expires || !signature) return null;
+  const expected = sign(`${id}.${expires}`);
+  if (!safeEqual(signature, expected)) return null;
+
+  const session = sessions[id];
+  if (!session || session.expires <= Date.now()) {
+    delete sessions[id];
+    return null;
+  }
+  return { id, ...session };
+}
+
+function destroySession(req, res) {
+  const session = readSession(req);
+  if (session) delete sessions[session.id];
+  setSessionCookie(req, res, "", 0);
+  return session;
+}
+
+/** Middleware: rejects requests without a valid admin session. */
+function requireAdmin(req, res, next) {
+  const session = readSession(req);
+  if (!session) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  req.adminUser = session.user;
+  req.adminSession = session;
+  next();
+}
+
+// Drop expired sessions and login counters now and then
+setInterval(() => {
+  const now = Date.now();
+  for (const id of Object.keys(sessions)) {
+    if (sessions[id].expires <= now) delete sessions[id];
+  }
+  for (const address of Object.keys(failedLogins)) {
+    if (failedLogins[address].resetAt <= now) delete failedLogins[address];
+  }
+}, LOGIN_WINDOW_MS).unref();
+
+module.exports = {
+  checkCredentials,
+  loginRetryAfter,
+  recordFailedLogin,
+  createSession,
+  destroySession,
+  requireAdmin,
+  hashAdminPassword,
+};
+
+// `node Server/admin-auth.js hash <password>` prints an ADMIN_USERS hash
+if (require.main === module) {
+  const [command, password] = process.argv.slice(2);
+  if (command !== "hash" || !password) {
+    console.error("Usage: node Server/admin-auth.js hash <password>");
+    process.exit(1);
+  }
+  console.log(hashAdminPassword(password));
+}
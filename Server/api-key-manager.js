@@ -1,23 +1,112 @@
+const crypto = require("crypto");
+
+// What a key may be used for:
+//   report  - /report-checkpoint and /report-checkpoints (cameras)
+//   read    - GET endpoints and joining a project's Socket.IO room
+//   edit    - creating, changing and deleting nodes and connections
+//   driver  - authenticating a /distance-driver WebSocket
+const API_KEY_SCOPES = ["report", "read", "edit", "driver"];
+
+// last_used_at is only written this often per key so busy cameras do not
+// turn every report into an extra UPDATE
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+const lastUsedWrites = {}; // key_id -> ms of the last write
+
+// Keys look like "sck_<8 char id>_<secret>". The first KEY_PREFIX_LENGTH
+// characters are stored in clear so a key can be identified (and looked up)
+// without keeping the key itself; only a salted hash of the whole key is
+// stored. Keys carry 192 random bits, so a fast hash is enough and keeps
+// per-request authentication cheap.
+const KEY_PREFIX_LENGTH = 12;
+const KEY_ID_PREFIX = "sck_";
+const LEGACY_PREFIX = "old_";
+
+// The stored lookup prefix for a key. Keys from before the "sck_" format
+// are secret all the way through, so theirs comes from an unsalted hash of
+// the key rather than from its first characters.
+function keyPrefix(apiKey) {
+  if (apiKey.startsWith(KEY_ID_PREFIX)) {
+    return apiKey.slice(0, KEY_PREFIX_LENGTH);
+  }
+  const digest = crypto.createHash("sha256").update(apiKey).digest();
+  return (
+    LEGACY_PREFIX +
+    digest
+      .toString("base64url")
+      .slice(0, KEY_PREFIX_LENGTH - LEGACY_PREFIX.length)
+  );
+}
+
 function createAPIKey() {
-  const characters =
-    "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxy0123456789";
-  let apiKey = "";
-  for (let i = 0; i < 32; i++) {
-    apiKey += characters.charAt(Math.floor(Math.random() * characters.length));
+  const id = crypto.randomBytes(6).toString("base64url");
+  const secret = crypto.randomBytes(24).toString("base64url");
+  return `${KEY_ID_PREFIX}${id}_${secret}`;
+}
+
+function hashWithSalt(apiKey, salt) {
+  return crypto.createHash("sha256").update(salt).update(apiKey).digest();
+}
+
+/**
+ * What is stored for a key: { key_prefix, key_salt, key_hash }. Also used
+ * to migrate keys created before hashing.
+ */
+function hashAPIKey(apiKey) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  return {
+    key_prefix: keyPrefix(apiKey),
+    key_salt: salt,
+    key_hash: hashWithSalt(apiKey, salt).toString("hex"),
+  };
+}
+
+function keyMatches(apiKey, row) {
+  const expected = Buffer.from(row.key_hash, "hex");
+  const actual = hashWithSalt(apiKey, row.key_salt);
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+}
+
+/**
+ * Validates a scope list received from a client. Returns the scopes in
+ * canonical order or throws.
+ */
+function parseScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new Error("scopes must be a non-empty list");
+  }
+  for (const scope of scopes) {
+    if (!API_KEY_SCOPES.includes(scope)) {
+      throw new Error(`Unknown scope: ${scope}`);
+    }
   }
-  return apiKey;
+  return API_KEY_SCOPES.filter((scope) => scopes.includes(scope));
 }
 
-function APIKeyToProjectId(apiKey, db) {
+// Resolves { key_id, project_id, scopes } for a live (not revoked) key
+function findAPIKey(apiKey, db) {
   return new Promise((resolve, reject) => {
-    db.get(
-      "SELECT project_id FROM projects WHERE api_key = ?",
-      [apiKey],
-      (err, row) => {
+    if (typeof apiKey !== "string" || apiKey.length <= KEY_PREFIX_LENGTH) {
+      reject(new Error("Invalid API key"));
+      return;
+    }
+    db.all(
+      "SELECT key_id, project_id, scopes, key_salt, key_hash FROM project_keys WHERE key_prefix = ? AND revoked = 0",
+      [keyPrefix(apiKey)],
+      (err, rows) => {
         if (err) {
           reject(err);
-        } else if (row) {
-          resolve(row.project_id);
+          return;
+        }
+        const row = (rows || []).find((r) => keyMatches(apiKey, r));
+        if (row) {
+          resolve({
+            key_id: row.key_id,
+            project_id: row.project_id,
+            scopes: row.scopes ? row.scopes.split(",") : [],
+          });
         } else {
           reject(new Error("Invalid API key"));
         }
@@ -26,24 +115,49 @@ function APIKeyToProjectId(apiKey, db) {
   });
 }
 
-function authenticateAPIKey(db) {
+function touchAPIKey(keyId, db) {
+  const now = Date.now();
+  if (now - (lastUsedWrites[keyId] || 0) < LAST_USED_RESOLUTION_MS) return;
+  lastUsedWrites[keyId] = now;
+  db.run(
+    "UPDATE project_keys SET last_used_at = ? WHERE key_id = ?",
+    [new Date(now).toISOString(), keyId],
+    (err) => {
+      if (err) console.error(err.message);
+    },
+  );
+}
+
+function authenticateAPIKey(db, scope) {
   return async (req, res, next) => {
     const apiKey = req.headers["x-api-key"];
     if (!apiKey) {
       return res.status(401).json({ error: "Missing API key" });
     }
+    let key;
     try {
-      const projectId = await APIKeyToProjectId(apiKey, db);
-      req.projectId = projectId;
-      next();
+      key = await findAPIKey(apiKey, db);
     } catch (err) {
-      res.status(401).json({ error: "Invalid API key" });
+      return res.status(401).json({ error: "Invalid API key" });
+    }
+    if (scope && !key.scopes.includes(scope)) {
+      return res
+        .status(403)
+        .json({ error: `API key lacks the ${scope} scope` });
     }
+    touchAPIKey(key.key_id, db);
+    req.projectId = key.project_id;
+    req.apiKeyId = key.key_id;
+    req.apiKeyScopes = key.scopes;
+    next();
   };
 }
 
 module.exports = {
+  API_KEY_SCOPES,
   createAPIKey,
-  APIKeyToProjectId,
+  hashAPIKey,
+  parseScopes,
+  findAPIKey,
   authenticateAPIKey,
 };
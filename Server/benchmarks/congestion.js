@@ -0,0 +1,134 @@
+// Compares one congestion broadcast tick as it used to run (a query per
+// connection plus a prune of the whole traversals table) with the rolling
+// aggregates of congestion.js. Run with
+//
+//   node Server/benchmarks/congestion.js [connections] [traversals-each] [ticks]
+//
+// It works on a throwaway database in the system's temp directory.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  createDatabase,
+  initializeDatabase,
+  withTransaction,
+  statements,
+} = require("../database.js");
+const {
+  CONGESTION_WINDOW_MS,
+  loadCongestion,
+  congestionChanges,
+  resendCongestion,
+} = require("../congestion.js");
+const { limitAt } = require("../speed-schedule.js");
+
+const [connectionCount = 2000, traversalsEach = 20, ticks = 5] = process.argv
+  .slice(2)
+  .map(Number);
+
+function query(db, method, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db[method](sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+async function fillDatabase(db) {
+  const now = Date.now();
+  await withTransaction(db, async () => {
+    await query(db, "run", "INSERT INTO projects (project_name) VALUES (?)", [
+      "Benchmark",
+    ]);
+    for (let i = 1; i <= connectionCount; i++) {
+      await query(
+        db,
+        "run",
+        `INSERT INTO connections (connection_id, project_id, from_node_id,
+           to_node_id, distance, speed_limit) VALUES (?, 1, ?, ?, 1000, 100)`,
+        [i, i, i + 1],
+      );
+      // In the newer half of the window, so none expire during the run
+      for (let j = 0; j < traversalsEach; j++) {
+        const time = new Date(now - (Math.random() * CONGESTION_WINDOW_MS) / 2);
+        await statements.recordTraversal(i, 30 + Math.random() * 30, time, db);
+      }
+    }
+  });
+}
+
+// The loop body before congestion.js
+async function perConnectionTick(db) {
+  const cutoff = new Date(Date.now() - CONGESTION_WINDOW_MS).toISOString();
+  await query(db, "run", "DELETE FROM traversals WHERE timestamp < ?", [
+    cutoff,
+  ]);
+  const connections = await statements.getProjectConnections(1, db);
+  const congestionData = {};
+  for (const conn of connections) {
+    const traversals = await query(
+      db,
+      "all",
+      "SELECT delta_t FROM traversals WHERE connection_id = ? AND timestamp >= ?",
+      [conn.connection_id, cutoff],
+    );
+    if (traversals.length === 0) continue;
+    const avgDeltaT =
+      traversals.reduce((sum, t) => sum + t.delta_t, 0) / traversals.length;
+    const tLegal = (conn.distance / limitAt(conn)) * 3.6;
+    if (tLegal > 0) congestionData[conn.connection_id] = avgDeltaT / tLegal;
+  }
+  return congestionData;
+}
+
+async function aggregateTick(db) {
+  const connections = await statements.getProjectConnections(1, db);
+  return congestionChanges(1, connections);
+}
+
+async function time(label, runs, work) {
+  const start = process.hrtime.bigint();
+  let result;
+  for (let i = 0; i < runs; i++) result = await work();
+  const ms = Number(process.hrtime.bigint() - start) / 1e6 / runs;
+  console.log(`${label.padEnd(28)} ${ms.toFixed(2).padStart(10)} ms`);
+  return result;
+}
+
+async function main() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "congestion-bench-"));
+  const db = createDatabase(path.join(dir, "bench.db"));
+  try {
+    initializeDatabase(db);
+    await fillDatabase(db);
+    console.log(
+      `${connectionCount} connections, ${traversalsEach} traversals each, ` +
+        `${ticks} ticks\n`,
+    );
+
+    const before = await time("per-connection tick", ticks, () =>
+      perConnectionTick(db),
+    );
+    await time("startup load (once)", 1, () => loadCongestion(db));
+    resendCongestion(1);
+    const first = await time("first aggregate tick", 1, () =>
+      aggregateTick(db),
+    );
+    await time("aggregate tick", ticks, () => aggregateTick(db));
+
+    // Both ways must agree, up to the aggregates' rounding
+    const mismatches = Object.keys(before).filter(
+      (id) => Math.abs(before[id] - first[id]) > 0.001,
+    );
+    console.log(
+      `\n${Object.keys(first).length} values, ${mismatches.length} mismatches`,
+    );
+  } finally {
+    await new Promise((resolve) => db.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,211 @@
+// Short-term congestion forecasts.
+//
+// Once a minute every connection with a live congestion value (see
+// congestion.js) gets the ratio expected FORECAST_HORIZONS minutes ahead,
+// blended from two estimates over the congestion history (see
+// congestion-history.js):
+//
+// - trend: the current ratio moved along the slope of the last
+//   TREND_WINDOW_MS of minute buckets, damped so it levels off;
+// - seasonal: the current ratio scaled by how busy the same time of week
+//   was compared with now, from the hourly buckets of the last
+//   SEASON_WEEKS weeks.
+//
+// The trend is trusted more for near horizons and the seasonal profile for
+// far ones; either is left out when there is too little history for it.
+
+const { statements } = require("./database.js");
+
+const FORECAST_HORIZONS = [15, 30, 60]; // minutes
+const FORECAST_INTERVAL_MS = 60 * 1000;
+const TREND_WINDOW_MS = 30 * 60 * 1000;
+const MIN_TREND_POINTS = 3;
+const TREND_DAMPING = 0.95; // per minute
+const SEASON_WEEKS = 12;
+const MIN_SEASON_SAMPLES = 10; // traversals in an hour of the week
+const PROFILE_TTL_MS = 60 * 60 * 1000;
+// Share of the trend estimate per horizon; the rest is seasonal
+const TREND_WEIGHTS = { 15: 0.7, 30: 0.5, 60: 0.3 };
+const PRECISION = 1000;
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const WEEK_HOURS = 7 * 24;
+
+const projects = {}; // project_id -> { computedAt, resend, profile, profileAt }
+
+function projectState(projectId) {
+  if (!projects[projectId]) {
+    projects[projectId] = {
+      computedAt: 0,
+      resend: false,
+      profile: null,
+      profileAt: 0,
+    };
+  }
+  return projects[projectId];
+}
+
+// Weighted least-squares slope of [{ x, y, w }], or null with too few points
+function slope(points) {
+  if (points.length < MIN_TREND_POINTS) return null;
+  let sw = 0;
+  let sx = 0;
+  let sy = 0;
+  for (const p of points) {
+    sw += p.w;
+    sx += p.w * p.x;
+    sy += p.w * p.y;
+  }
+  const mx = sx / sw;
+  const my = sy / sw;
+  let sxy = 0;
+  let sxx = 0;
+  for (const p of points) {
+    sxy += p.w * (p.x - mx) * (p.y - my);
+    sxx += p.w * (p.x - mx) ** 2;
+  }
+  return sxx > 0 ? sxy / sxx : null;
+}
+
+// Per-minute slope of each connection's ratio over the trend window
+async function loadTrends(projectId, now, db) {
+  const rows = await statements.getProjectCongestionHistory(
+    projectId,
+    "minute",
+    new Date(now - TREND_WINDOW_MS).toISOString(),
+    db,
+  );
+  const points = {};
+  for (const row of rows) {
+    if (!(row.total_legal_t > 0)) continue;
+    (points[row.connection_id] = points[row.connection_id] || []).push({
+      x: (new Date(row.bucket_start).getTime() - now) / MINUTE,
+      y: row.total_delta_t / row.total_legal_t,
+      w: row.count,
+    });
+  }
+  const trends = {};
+  for (const [connectionId, list] of Object.entries(points)) {
+    const value = slope(list);
+    if (value !== null) trends[connectionId] = value;
+  }
+  return trends;
+}
+
+// connection_id -> { hour_of_week: ratio } for hours with enough traffic
+async function loadProfile(state, projectId, now, db) {
+  if (state.profile && now - state.profileAt < PROFILE_TTL_MS) {
+    return state.profile;
+  }
+  const rows = await statements.getCongestionWeekProfile(
+    projectId,
+    new Date(now - SEASON_WEEKS * WEEK_HOURS * HOUR).toISOString(),
+    new Date(Math.floor(now / HOUR) * HOUR).toISOString(),
+    db,
+  );
+  const profile = {};
+  for (const row of rows) {
+    if (row.count < MIN_SEASON_SAMPLES || !(row.total_legal_t > 0)) continue;
+    (profile[row.connection_id] = profile[row.connection_id] || {})[
+      row.hour_of_week
+    ] = row.total_delta_t / row.total_legal_t;
+  }
+  state.profile = profile;
+  state.profileAt = now;
+  return profile;
+}
+
+// The profile's ratio at `time`, interpolated between the middles of the
+// neighbouring hours of the week; null when neither has data
+function seasonalAt(hours, time) {
+  const date = new Date(time);
+  const position =
+    date.getUTCDay() * 24 +
+    date.getUTCHours() +
+    date.getUTCMinutes() / 60 -
+    0.5;
+  const before = (Math.floor(position) + WEEK_HOURS) % WEEK_HOURS;
+  const after = (before + 1) % WEEK_HOURS;
+  const a = hours[before];
+  const b = hours[after];
+  if (a === undefined) return b === undefined ? null : b;
+  if (b === undefined) return a;
+  const share = position - Math.floor(position);
+  return a + (b - a) * share;
+}
+
+function forecastFor(current, trend, hours, now) {
+  const forecast = {};
+  const seasonalNow = hours ? seasonalAt(hours, now) : null;
+  for (const horizon of FORECAST_HORIZONS) {
+    // Sum of the damped per-minute slope over the horizon
+    const drift =
+      trend === undefined
+        ? 0
+        : (trend * TREND_DAMPING * (1 - TREND_DAMPING ** horizon)) /
+          (1 - TREND_DAMPING);
+    const trendEstimate = current + drift;
+
+    const seasonalThen = hours
+      ? seasonalAt(hours, now + horizon * MINUTE)
+      : null;
+    let value = trendEstimate;
+    if (seasonalNow > 0 && seasonalThen !== null) {
+      const seasonalEstimate = (current * seasonalThen) / seasonalNow;
+      const weight = trend === undefined ? 0 : TREND_WEIGHTS[horizon];
+      value = weight * trendEstimate + (1 - weight) * seasonalEstimate;
+    }
+    forecast[horizon] = Math.round(Math.max(0, value) * PRECISION) / PRECISION;
+  }
+  return forecast;
+}
+
+/** Whether the project's forecasts should be computed and sent now. */
+function forecastsDue(projectId, now = Date.now()) {
+  const state = projectState(projectId);
+  return state.resend || now - state.computedAt >= FORECAST_INTERVAL_MS;
+}
+
+/**
+ * Forecasts for every connection in `current` (connection_id -> live
+ * ratio) as { connection_id: { 15: ratio, 30: ratio, 60: ratio } }.
+ */
+async function computeForecasts(projectId, current, db, now = Date.now()) {
+  const state = projectState(projectId);
+  state.computedAt = now;
+  state.resend = false;
+  if (Object.keys(current).length === 0) return {};
+
+  const trends = await loadTrends(projectId, now, db);
+  const profile = await loadProfile(state, projectId, now, db);
+  const forecasts = {};
+  for (const [connectionId, value] of Object.entries(current)) {
+    forecasts[connectionId] = forecastFor(
+      value,
+      trends[connectionId],
+      profile[connectionId],
+      now,
+    );
+  }
+  return forecasts;
+}
+
+// Makes forecastsDue true on the next check, e.g. for a client that just
+// joined
+function resendForecasts(projectId) {
+  projectState(projectId).resend = true;
+}
+
+// Call when the project is deleted
+function forgetForecasts(projectId) {
+  delete projects[projectId];
+}
+
+module.exports = {
+  FORECAST_HORIZONS,
+  forecastsDue,
+  computeForecasts,
+  resendForecasts,
+  forgetForecasts,
+};
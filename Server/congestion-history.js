@@ -0,0 +1,151 @@
+// Congestion history per connection.
+//
+// Raw traversals are only kept for the live congestion window (see
+// congestion.js), so each traversal is also added to the
+// congestion_history rows of its minute, hour and day. A row holds the
+// number of traversals, the sum of their times and the sum of the legal
+// times in force when they happened, so a bucket's ratio is one sum over
+// the other even when the limit changed inside it. Each resolution is kept
+// for its own retention; older data is still there at a coarser one.
+
+const { statements } = require("./database.js");
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Finest first
+const HISTORY_TIERS = [
+  { resolution: "minute", bucketMs: MINUTE, retentionMs: 7 * DAY },
+  { resolution: "hour", bucketMs: HOUR, retentionMs: 90 * DAY },
+  { resolution: "day", bucketMs: DAY, retentionMs: 2 * 365 * DAY },
+];
+
+// Bucket sizes a query may ask for; buckets are aligned to UTC
+const HISTORY_BUCKETS = {
+  "1m": MINUTE,
+  "5m": 5 * MINUTE,
+  "15m": 15 * MINUTE,
+  "1h": HOUR,
+  "6h": 6 * HOUR,
+  "1d": DAY,
+};
+const MAX_HISTORY_POINTS = 2000;
+const PRECISION = 1000;
+
+function bucketStart(time, bucketMs) {
+  return new Date(Math.floor(time / bucketMs) * bucketMs).toISOString();
+}
+
+/** Adds a traversal and the legal time in force (both in seconds). */
+function recordCongestionHistory(connectionId, deltaT, legalT, time, db) {
+  const ms = new Date(time).getTime();
+  const buckets = HISTORY_TIERS.map((tier) => [
+    tier.resolution,
+    bucketStart(ms, tier.bucketMs),
+  ]);
+  return statements.addCongestionHistory(
+    connectionId,
+    buckets,
+    deltaT,
+    legalT,
+    db,
+  );
+}
+
+/** Drops rows older than their resolution's retention. */
+async function pruneCongestionHistory(db, now = Date.now()) {
+  let removed = 0;
+  for (const tier of HISTORY_TIERS) {
+    removed += await statements.deleteCongestionHistory(
+      tier.resolution,
+      new Date(now - tier.retentionMs).toISOString(),
+      db,
+    );
+  }
+  return removed;
+}
+
+// The finest tier that can be summed into `bucketMs` buckets and still
+// holds data from `from`
+function tierFor(bucketMs, from, now) {
+  return HISTORY_TIERS.find(
+    (tier) => bucketMs % tier.bucketMs === 0 && from >= now - tier.retentionMs,
+  );
+}
+
+/**
+ * Picks the bucket for a query over [from, to] (Dates). Without `bucket`
+ * the finest one that the retained data allows and that gives at most
+ * MAX_HISTORY_POINTS points is used. Returns { bucket, bucketMs, tier } or
+ * throws { in, field, message } for a bucket that cannot be served.
+ */
+function chooseHistoryBucket(bucket, from, to, now = Date.now()) {
+  const names = bucket ? [bucket] : Object.keys(HISTORY_BUCKETS);
+  for (const name of names) {
+    const bucketMs = HISTORY_BUCKETS[name];
+    const tier = tierFor(bucketMs, from.getTime(), now);
+    const points = Math.ceil((to - from) / bucketMs);
+    if (tier && points <= MAX_HISTORY_POINTS) {
+      return { bucket: name, bucketMs, tier };
+    }
+    if (!bucket) continue;
+    if (!tier) {
+      const oldest = HISTORY_TIERS.filter(
+        (t) => bucketMs % t.bucketMs === 0,
+      ).pop();
+      throw {
+        in: "query",
+        field: "bucket",
+        message: `${bucket} data is kept for ${oldest.retentionMs / DAY} days; use a larger bucket or a later from`,
+      };
+    }
+    throw {
+      in: "query",
+      field: "bucket",
+      message: `gives more than ${MAX_HISTORY_POINTS} points; use a larger bucket or a shorter range`,
+    };
+  }
+  throw {
+    in: "query",
+    field: "from",
+    message: "is older than any congestion history that is kept",
+  };
+}
+
+/**
+ * The connection's history between `from` and `to` in `bucketMs` buckets
+ * summed from `tier`: [{ start, count, mean_delta_t, ratio }] for buckets
+ * with traversals, oldest first.
+ */
+async function getCongestionHistory(connectionId, from, to, choice, db) {
+  const rows = await statements.getCongestionHistory(
+    connectionId,
+    choice.tier.resolution,
+    bucketStart(from.getTime(), choice.bucketMs),
+    to.toISOString(),
+    choice.bucketMs,
+    db,
+  );
+  return rows.map((row) => ({
+    start: new Date(row.bucket * choice.bucketMs).toISOString(),
+    count: row.count,
+    mean_delta_t:
+      Math.round((row.total_delta_t / row.count) * PRECISION) / PRECISION,
+    ratio:
+      row.total_legal_t > 0
+        ? Math.round((row.total_delta_t / row.total_legal_t) * PRECISION) /
+          PRECISION
+        : null,
+  }));
+}
+
+module.exports = {
+  HISTORY_TIERS,
+  HISTORY_BUCKETS,
+  MAX_HISTORY_POINTS,
+  recordCongestionHistory,
+  pruneCongestionHistory,
+  chooseHistoryBucket,
+  getCongestionHistory,
+};
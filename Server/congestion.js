@@ -0,0 +1,195 @@
+// Rolling congestion per connection.
+//
+// A connection's congestion is its mean traversal time over the last
+// CONGESTION_WINDOW_MS divided by the legal traversal time (distance over
+// the limit in force), so 1.0 means traffic moves at the limit and 2.0
+// that it takes twice as long. Traversal times are summed in memory in
+// BUCKET_MS slices as they are recorded, so the broadcast loop needs no
+// per-connection queries; the window is accurate to one slice. The slices
+// are filled from the traversals table with one grouped query at startup.
+
+const { statements } = require("./database.js");
+const { limitAt } = require("./speed-schedule.js");
+
+const CONGESTION_WINDOW_MS = 5 * 60 * 1000; // 5 minutes
+const BUCKET_MS = 10 * 1000;
+const PRECISION = 1000; // values are rounded to three decimals
+
+const samples = {}; // connection_id -> { projectId, buckets: { n: { count, total } } }
+const projectConnections = {}; // project_id -> Set of connection_ids in `samples`
+const lastSent = {}; // project_id -> { connection_id: value } as last broadcast
+const resendAll = new Set(); // project_ids whose next update sends every value
+
+function addSample(projectId, connectionId, bucket, count, total) {
+  if (!samples[connectionId]) {
+    samples[connectionId] = { projectId, buckets: {} };
+    if (!projectConnections[projectId]) {
+      projectConnections[projectId] = new Set();
+    }
+    projectConnections[projectId].add(connectionId);
+  }
+  const slot = (samples[connectionId].buckets[bucket] = samples[connectionId]
+    .buckets[bucket] || { count: 0, total: 0 });
+  slot.count += count;
+  slot.total += total;
+}
+
+function firstBucket(now) {
+  return Math.floor((now - CONGESTION_WINDOW_MS) / BUCKET_MS);
+}
+
+/** Fills the windows from the traversals table; call once at startup. */
+async function loadCongestion(db) {
+  const since = new Date(firstBucket(Date.now()) * BUCKET_MS);
+  const rows = await statements.getTraversalBuckets(since, BUCKET_MS, db);
+  for (const row of rows) {
+    addSample(
+      row.project_id,
+      row.connection_id,
+      row.bucket,
+      row.count,
+      row.total,
+    );
+  }
+}
+
+/** Adds a traversal once statements.recordTraversal has committed it. */
+function recordCongestionSample(projectId, connectionId, deltaT, time) {
+  const bucket = Math.floor(new Date(time).getTime() / BUCKET_MS);
+  if (bucket < firstBucket(Date.now())) return;
+  addSample(projectId, connectionId, bucket, 1, deltaT);
+}
+
+// Mean traversal time over the window, or null when there is none; drops
+// slices that have left the window.
+function meanTraversalTime(connectionId, now) {
+  const entry = samples[connectionId];
+  const first = firstBucket(now);
+  let count = 0;
+  let total = 0;
+  for (const bucket of Object.keys(entry.buckets)) {
+    if (Number(bucket) < first) {
+      delete entry.buckets[bucket];
+    } else {
+      count += entry.buckets[bucket].count;
+      total += entry.buckets[bucket].total;
+    }
+  }
+  if (count === 0) {
+    forgetConnection(connectionId);
+    return null;
+  }
+  return total / count;
+}
+
+/** Traversals of the connection in the window. */
+function trafficCount(connectionId, now = Date.now()) {
+  const entry = samples[connectionId];
+  if (!entry) return 0;
+  const first = firstBucket(now);
+  let count = 0;
+  for (const [bucket, slot] of Object.entries(entry.buckets)) {
+    if (Number(bucket) >= first) count += slot.count;
+  }
+  return count;
+}
+
+function forgetConnection(connectionId) {
+  const entry = samples[connectionId];
+  delete samples[connectionId];
+  projectConnections[entry.projectId].delete(connectionId);
+}
+
+// Whether the project has anything to broadcast: traversals in the window
+// or values that were sent and may now need clearing
+function hasCongestion(projectId) {
+  const connections = projectConnections[projectId];
+  const sent = lastSent[projectId];
+  return (
+    (connections && connections.size > 0) ||
+    (sent && Object.keys(sent).length > 0)
+  );
+}
+
+/**
+ * The project's current congestion values as { connection_id: value },
+ * leaving out connections without traversals in the window. `connections`
+ * are the project's rows from statements.getProjectConnections.
+ */
+function congestionRatios(projectId, connections, now = Date.now()) {
+  const rows = {};
+  for (const conn of connections) rows[conn.connection_id] = conn;
+
+  const current = {};
+  for (const connectionId of projectConnections[projectId] || []) {
+    const conn = rows[connectionId];
+    if (!conn) {
+      // The connection was deleted
+      forgetConnection(connectionId);
+      continue;
+    }
+    const mean = meanTraversalTime(connectionId, now);
+    // T_legal in seconds: distance(m) / speed_limit(km/h) * 3.6, using
+    // the limit in force right now
+    const tLegal = (conn.distance / limitAt(conn, new Date(now))) * 3.6;
+    if (mean !== null && tLegal > 0) {
+      current[connectionId] =
+        Math.round((mean / tLegal) * PRECISION) / PRECISION;
+    }
+  }
+  return current;
+}
+
+/**
+ * Congestion values of the project that changed since the last call, as
+ * { connection_id: value } with null for connections that no longer have
+ * traversals in the window.
+ */
+function congestionChanges(projectId, connections, now = Date.now()) {
+  const current = congestionRatios(projectId, connections, now);
+  const previous = lastSent[projectId] || {};
+  const all = resendAll.delete(projectId);
+  const changes = {};
+  for (const [id, value] of Object.entries(current)) {
+    if (all || previous[id] !== value) changes[id] = value;
+  }
+  for (const id of Object.keys(previous)) {
+    if (!(id in current)) changes[id] = null;
+  }
+  lastSent[projectId] = current;
+  return changes;
+}
+
+// The values last returned by congestionChanges, changed or not
+function currentCongestion(projectId) {
+  return lastSent[projectId] || {};
+}
+
+// Makes the next congestionChanges for the project return every value,
+// e.g. when a client joins that has not seen any yet
+function resendCongestion(projectId) {
+  resendAll.add(projectId);
+}
+
+// Call when the project is deleted
+function forgetCongestion(projectId) {
+  for (const connectionId of projectConnections[projectId] || []) {
+    delete samples[connectionId];
+  }
+  delete projectConnections[projectId];
+  delete lastSent[projectId];
+  resendAll.delete(projectId);
+}
+
+module.exports = {
+  CONGESTION_WINDOW_MS,
+  loadCongestion,
+  recordCongestionSample,
+  hasCongestion,
+  trafficCount,
+  congestionRatios,
+  congestionChanges,
+  currentCongestion,
+  resendCongestion,
+  forgetCongestion,
+};
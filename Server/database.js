@@ -1,10 +1,17 @@
+const { AsyncLocalStorage } = require("async_hooks");
 const sqlite = require("sqlite3");
+const {
+  API_KEY_SCOPES,
+  hashAPIKey,
+  findAPIKey,
+} = require("./api-key-manager.js");
 
 function createDatabase(path = "Server/database.db") {
   const db = new sqlite.Database(path);
   // Enable WAL mode for better concurrency under high write load
   db.run("PRAGMA journal_mode = WAL");
   db.run("PRAGMA busy_timeout = 5000");
+  queueWrites(db);
   return db;
 }
 
@@ -15,9 +22,82 @@ function initializeDatabase(db) {
         project_name TEXT,
         api_key TEXT,
         node_count INTEGER DEFAULT 0,
-        connection_count INTEGER DEFAULT 0
+        connection_count INTEGER DEFAULT 0,
+        rate_limits TEXT
     )`);
 
+    // API keys; a project can hold several, each limited to some scopes
+    // (see api-key-manager.js). Only a salted hash of each key is kept;
+    // api_key holds plaintext keys from older versions until they are
+    // hashed at startup. Revoked keys are kept for the record.
+    db.run(`CREATE TABLE IF NOT EXISTS project_keys (
+        key_id       INTEGER PRIMARY KEY AUTOINCREMENT,
+        project_id   INTEGER,
+        api_key      TEXT UNIQUE,
+        key_prefix   TEXT,
+        key_salt     TEXT,
+        key_hash     TEXT,
+        label        TEXT,
+        scopes       TEXT,
+        created_at   TEXT,
+        last_used_at TEXT,
+        revoked      INTEGER DEFAULT 0,
+        revoked_at   TEXT,
+        FOREIGN KEY(project_id) REFERENCES projects(project_id)
+    )`);
+
+    // Who did what from the admin page; project_id is kept after the
+    // project itself is deleted.
+    db.run(`CREATE TABLE IF NOT EXISTS admin_audit (
+        audit_id   INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp  TEXT,
+        action     TEXT,
+        project_id INTEGER,
+        actor      TEXT,
+        details    TEXT
+    )`);
+
+    // Outgoing webhooks (see webhooks.js). `events` is a comma-separated
+    // list of project event names; the secret signs every delivery.
+    db.run(`CREATE TABLE IF NOT EXISTS webhooks (
+        webhook_id  INTEGER PRIMARY KEY AUTOINCREMENT,
+        project_id  INTEGER,
+        url         TEXT,
+        events      TEXT,
+        secret      TEXT,
+        description TEXT,
+        active      INTEGER DEFAULT 1,
+        created_at  TEXT,
+        FOREIGN KEY(project_id) REFERENCES projects(project_id)
+    )`);
+
+    // Delivery queue and log: rows stay 'pending' until a delivery succeeds
+    // ('delivered') or runs out of attempts ('failed').
+    db.run(`CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        delivery_id     INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id      INTEGER,
+        project_id      INTEGER,
+        event           TEXT,
+        payload         TEXT,
+        status          TEXT DEFAULT 'pending',
+        attempts        INTEGER DEFAULT 0,
+        next_attempt_at TEXT,
+        last_attempt_at TEXT,
+        response_status INTEGER,
+        last_error      TEXT,
+        created_at      TEXT,
+        delivered_at    TEXT,
+        FOREIGN KEY(webhook_id) REFERENCES webhooks(webhook_id)
+    )`);
+    db.run(
+      `CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due
+       ON webhook_deliveries (status, next_attempt_at)`,
+    );
+    db.run(
+      `CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook
+       ON webhook_deliveries (webhook_id, delivery_id)`,
+    );
+
     db.run(`CREATE TABLE IF NOT EXISTS nodes (
         node_id INTEGER PRIMARY KEY AUTOINCREMENT,
         project_id INTEGER,
@@ -34,6 +114,8 @@ function initializeDatabase(db) {
         to_node_id INTEGER,
         distance REAL,
         speed_limit REAL,
+        speed_schedule TEXT,
+        class_limits TEXT,
         FOREIGN KEY(project_id) REFERENCES projects(project_id),
         FOREIGN KEY(from_node_id) REFERENCES nodes(node_id),
         FOREIGN KEY(to_node_id) REFERENCES nodes(node_id)
@@ -55,6 +137,8 @@ function initializeDatabase(db) {
         car_plate TEXT,
         car_speed REAL,
         timestamp TEXT,
+        assumed_path TEXT,
+        vehicle_class TEXT,
         FOREIGN KEY(project_id) REFERENCES projects(project_id)
     )`);
 
@@ -66,6 +150,67 @@ function initializeDatabase(db) {
         timestamp     TEXT,
         FOREIGN KEY(connection_id) REFERENCES connections(connection_id)
     )`);
+    db.run(
+      `CREATE INDEX IF NOT EXISTS idx_traversals_time
+       ON traversals (timestamp)`,
+    );
+
+    // Traversals summed per connection and minute, hour or day (see
+    // congestion-history.js); bucket_start is an ISO timestamp
+    db.run(`CREATE TABLE IF NOT EXISTS congestion_history (
+        connection_id INTEGER,
+        resolution    TEXT,
+        bucket_start  TEXT,
+        count         INTEGER,
+        total_delta_t REAL,
+        total_legal_t REAL,
+        PRIMARY KEY (connection_id, resolution, bucket_start),
+        FOREIGN KEY(connection_id) REFERENCES connections(connection_id)
+    )`);
+    db.run(
+      `CREATE INDEX IF NOT EXISTS idx_congestion_history_age
+       ON congestion_history (resolution, bucket_start)`,
+    );
+
+    // Incidents raised by incident-detector.js; closed_at is NULL while
+    // the incident is open. details holds the figures that raised it.
+    db.run(`CREATE TABLE IF NOT EXISTS incidents (
+        incident_id   INTEGER PRIMARY KEY AUTOINCREMENT,
+        project_id    INTEGER,
+        connection_id INTEGER,
+        type          TEXT,
+        opened_at     TEXT,
+        closed_at     TEXT,
+        details       TEXT,
+        FOREIGN KEY(project_id) REFERENCES projects(project_id),
+        FOREIGN KEY(connection_id) REFERENCES connections(connection_id)
+    )`);
+    db.run(
+      `CREATE INDEX IF NOT EXISTS idx_incidents_project
+       ON incidents (project_id, opened_at)`,
+    );
+
+    // Append-only log of every reported sighting. id_in_project is copied
+    // so the history still reads correctly after a node is deleted.
+    db.run(`CREATE TABLE IF NOT EXISTS sightings (
+        sighting_id   INTEGER PRIMARY KEY AUTOINCREMENT,
+        project_id    INTEGER,
+        car_plate     TEXT,
+        vehicle_class TEXT,
+        node_id       INTEGER,
+        id_in_project INTEGER,
+        timestamp     TEXT,
+        connection_id INTEGER,
+        path_connection_ids TEXT,
+        segment_speed REAL,
+        violation     INTEGER DEFAULT 0,
+        out_of_order  INTEGER DEFAULT 0,
+        FOREIGN KEY(project_id) REFERENCES projects(project_id)
+    )`);
+    db.run(
+      `CREATE INDEX IF NOT EXISTS idx_sightings_car
+       ON sightings (project_id, car_plate, timestamp)`,
+    );
 
     // Migration for existing databases
     db.run(
@@ -77,6 +222,57 @@ function initializeDatabase(db) {
       () => {},
     );
     db.run(`ALTER TABLE nodes ADD COLUMN id_in_project INTEGER`, () => {});
+    db.run(`ALTER TABLE violations ADD COLUMN assumed_path TEXT`, () => {});
+    db.run(`ALTER TABLE connections ADD COLUMN speed_schedule TEXT`, () => {});
+    db.run(
+      `ALTER TABLE sightings ADD COLUMN path_connection_ids TEXT`,
+      () => {},
+    );
+    db.run(`ALTER TABLE connections ADD COLUMN class_limits TEXT`, () => {});
+    db.run(`ALTER TABLE violations ADD COLUMN vehicle_class TEXT`, () => {});
+    db.run(`ALTER TABLE sightings ADD COLUMN vehicle_class TEXT`, () => {});
+    db.run(`ALTER TABLE projects ADD COLUMN rate_limits TEXT`, () => {});
+
+    // Projects used to have a single key in projects.api_key; move it to
+    // project_keys with every scope so existing cameras keep working.
+    db.run(
+      `INSERT INTO project_keys (project_id, api_key, label, scopes, created_at)
+       SELECT project_id, api_key, 'Default', ?, ?
+       FROM projects
+       WHERE api_key IS NOT NULL
+         AND api_key NOT IN (
+           SELECT api_key FROM project_keys WHERE api_key IS NOT NULL
+         )`,
+      [API_KEY_SCOPES.join(","), new Date().toISOString()],
+    );
+    db.run(
+      `UPDATE projects SET api_key = NULL
+       WHERE api_key IN (SELECT api_key FROM project_keys)`,
+    );
+    db.run(`ALTER TABLE project_keys ADD COLUMN key_prefix TEXT`, () => {});
+    db.run(`ALTER TABLE project_keys ADD COLUMN key_salt TEXT`, () => {});
+    db.run(`ALTER TABLE project_keys ADD COLUMN key_hash TEXT`, () => {});
+    db.run(
+      `CREATE INDEX IF NOT EXISTS idx_project_keys_prefix
+       ON project_keys (key_prefix)`,
+    );
+    hashPlaintextKeys(db);
+
+    // Older rows stored violation timestamps as epoch milliseconds; convert
+    // them to ISO strings so they sort and filter like the new ones.
+    db.run(
+      `UPDATE violations
+       SET timestamp = strftime('%Y-%m-%dT%H:%M:%fZ', CAST(timestamp AS REAL) / 1000, 'unixepoch')
+       WHERE timestamp NOT LIKE '%-%' AND CAST(timestamp AS REAL) > 0`,
+    );
+    db.run(
+      `CREATE INDEX IF NOT EXISTS idx_car_data_project_plate
+       ON car_data (project_id, car_plate)`,
+    );
+    db.run(
+      `CREATE INDEX IF NOT EXISTS idx_violations_project_time
+       ON violations (project_id, timestamp, violation_id)`,
+    );
   });
 }
 
@@ -104,6 +300,205 @@ function addEntry(tableName = "", entry = {}, db = createDatabase()) {
   });
 }
 
+function incidentFromRow(row) {
+  return { ...row, details: row.details ? JSON.parse(row.details) : null };
+}
+
+function runStatement(sql, params = [], db = createDatabase()) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) reject(err);
+      else resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+function allRows(sql, params = [], db = createDatabase()) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows || []);
+    });
+  });
+}
+
+// sqlite3 shares one connection between all requests, so any statement
+// run while a transaction is open becomes part of it and is committed or
+// rolled back with it. Transactions therefore run one after another from a
+// queue per connection, and a write from outside the transaction waits in
+// that queue while one is queued or open. Work inside the transaction
+// (followed with AsyncLocalStorage) skips the queue. Reads are not queued.
+const writeQueues = new WeakMap(); // db -> { tail, pending }
+// { db, onCommit: [callback] } while in a transaction
+const openTransaction = new AsyncLocalStorage();
+
+function inTransaction(db) {
+  const transaction = openTransaction.getStore();
+  return transaction !== undefined && transaction.db === db;
+}
+
+function writeQueue(db) {
+  if (!writeQueues.has(db)) {
+    writeQueues.set(db, { tail: Promise.resolve(), pending: 0 });
+  }
+  return writeQueues.get(db);
+}
+
+// Runs `work` after everything queued before it
+function enqueueWrite(db, work) {
+  const queue = writeQueue(db);
+  queue.pending++;
+  const current = queue.tail.then(work);
+  queue.tail = current
+    .catch(() => {})
+    .then(() => {
+      queue.pending--;
+    });
+  return current;
+}
+
+// Makes every db.run on the connection wait for open transactions
+function queueWrites(db) {
+  const run = db.run.bind(db);
+  db.run = (...args) => {
+    if (inTransaction(db) || writeQueue(db).pending === 0) {
+      return run(...args);
+    }
+    const callback =
+      typeof args[args.length - 1] === "function" ? args.pop() : null;
+    enqueueWrite(
+      db,
+      () =>
+        new Promise((resolve) => {
+          run(...args, function (err) {
+            resolve();
+            if (callback) callback.call(this, err);
+          });
+        }),
+    );
+    return db;
+  };
+}
+
+// A transaction started inside another one on the same db joins it
+function withTransaction(db, work) {
+  if (inTransaction(db)) return work();
+  const transaction = { db, onCommit: [] };
+  return enqueueWrite(db, () =>
+    openTransaction.run(transaction, async () => {
+      await runStatement("BEGIN IMMEDIATE TRANSACTION", [], db);
+      let result;
+      try {
+        result = await work();
+        await runStatement("COMMIT", [], db);
+      } catch (err) {
+        await runStatement("ROLLBACK", [], db).catch(() => {});
+        throw err;
+      }
+      for (const callback of transaction.onCommit) callback();
+      return result;
+    }),
+  );
+}
+
+// Runs `callback` once the open transaction on `db` commits, or right away
+// outside one; for in-memory state that must not keep rolled back writes
+function afterCommit(db, callback) {
+  if (inTransaction(db)) openTransaction.getStore().onCommit.push(callback);
+  else callback();
+}
+
+/**
+ * Turns violation filters into a WHERE clause. Supported filters:
+ * from/to (ISO strings), plate, platePrefix, minSpeed, and cursor
+ * ({ timestamp, id } of the last row of the previous page, applied in
+ * `order` direction).
+ */
+function buildViolationFilter(projectId, filters = {}) {
+  const clauses = ["project_id = ?"];
+  const params = [projectId];
+
+  if (filters.from) {
+    clauses.push("timestamp >= ?");
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    clauses.push("timestamp < ?");
+    params.push(filters.to);
+  }
+  if (filters.plate) {
+    clauses.push("car_plate = ?");
+    params.push(filters.plate);
+  }
+  if (filters.platePrefix) {
+    clauses.push("substr(car_plate, 1, ?) = ?");
+    params.push(filters.platePrefix.length, filters.platePrefix);
+  }
+  if (filters.vehicleClass) {
+    clauses.push("vehicle_class = ?");
+    params.push(filters.vehicleClass);
+  }
+  if (filters.minSpeed !== undefined) {
+    clauses.push("car_speed >= ?");
+    params.push(filters.minSpeed);
+  }
+  if (filters.cursor) {
+    const op = filters.order === "asc" ? ">" : "<";
+    clauses.push(
+      `(timestamp ${op} ? OR (timestamp = ? AND violation_id ${op} ?))`,
+    );
+    params.push(
+      filters.cursor.timestamp,
+      filters.cursor.timestamp,
+      filters.cursor.id,
+    );
+  }
+
+  return { where: clauses.join(" AND "), params };
+}
+
+// Replaces plaintext keys left by older versions with their hash
+function hashPlaintextKeys(db) {
+  db.all(
+    "SELECT key_id, api_key FROM project_keys WHERE api_key IS NOT NULL",
+    [],
+    (err, rows) => {
+      if (err) {
+        console.error(err.message);
+        return;
+      }
+      for (const row of rows) {
+        const { key_prefix, key_salt, key_hash } = hashAPIKey(row.api_key);
+        db.run(
+          "UPDATE project_keys SET key_prefix = ?, key_salt = ?, key_hash = ?, api_key = NULL WHERE key_id = ?",
+          [key_prefix, key_salt, key_hash, row.key_id],
+          (err) => {
+            if (err) console.error(err.message);
+          },
+        );
+      }
+      if (rows.length > 0) console.log(`Hashed ${rows.length} API key(s)`);
+    },
+  );
+}
+
+function formatProjectKey(row) {
+  return {
+    ...row,
+    scopes: row.scopes ? row.scopes.split(",") : [],
+    revoked: row.revoked === 1,
+  };
+}
+
+function formatWebhook(row) {
+  const { secret, ...webhook } = row;
+  return {
+    ...webhook,
+    events: row.events ? row.events.split(",") : [],
+    active: row.active === 1,
+  };
+}
+
 function isCarPlateRegistered(projectId, carPlate, db = createDatabase()) {
   return new Promise((resolve, reject) => {
     db.get(
@@ -157,12 +552,94 @@ function carPlateToCarId(projectId, carPlate, db = createDatabase()) {
 }
 
 const statements = {
-  createProject: async (projectName, apiKey, db) => {
-    return await addEntry(
-      "projects",
-      { project_name: projectName, api_key: apiKey },
+  // Creates the project together with its first key, which has every scope
+  createProject: (projectName, apiKey, db) => {
+    return withTransaction(db, async () => {
+      const { lastID: projectId } = await runStatement(
+        "INSERT INTO projects (project_name) VALUES (?)",
+        [projectName],
+        db,
+      );
+      await statements.createProjectKey(
+        projectId,
+        apiKey,
+        "Default",
+        API_KEY_SCOPES,
+        db,
+      );
+      return projectId;
+    });
+  },
+
+  // --- API keys ---
+  // Only the key's prefix and salted hash are stored; the caller is the
+  // last to see `apiKey` in full.
+  createProjectKey: async (projectId, apiKey, label, scopes, db) => {
+    const { key_prefix, key_salt, key_hash } = hashAPIKey(apiKey);
+    const { lastID } = await runStatement(
+      "INSERT INTO project_keys (project_id, key_prefix, key_salt, key_hash, label, scopes, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)",
+      [
+        projectId,
+        key_prefix,
+        key_salt,
+        key_hash,
+        label,
+        scopes.join(","),
+        new Date().toISOString(),
+      ],
+      db,
+    );
+    return lastID;
+  },
+
+  listProjectKeys: async (projectId, db) => {
+    const rows = await allRows(
+      `SELECT key_id, key_prefix, label, scopes, created_at, last_used_at,
+              revoked, revoked_at
+       FROM project_keys WHERE project_id = ?
+       ORDER BY revoked ASC, key_id ASC`,
+      [projectId],
+      db,
+    );
+    return rows.map(formatProjectKey);
+  },
+
+  getProjectKey: async (projectId, keyId, db) => {
+    const [row] = await allRows(
+      `SELECT key_id, key_prefix, label, scopes, created_at, last_used_at,
+              revoked, revoked_at
+       FROM project_keys WHERE project_id = ? AND key_id = ?`,
+      [projectId, keyId],
+      db,
+    );
+    return row ? formatProjectKey(row) : null;
+  },
+
+  // Resolves the number of keys revoked (0 if unknown or already revoked)
+  revokeProjectKey: async (projectId, keyId, db) => {
+    const { changes } = await runStatement(
+      "UPDATE project_keys SET revoked = 1, revoked_at = ? WHERE project_id = ? AND key_id = ? AND revoked = 0",
+      [new Date().toISOString(), projectId, keyId],
       db,
     );
+    return changes;
+  },
+
+  // Replaces a live key with `newApiKey`, keeping its label and scopes.
+  // Resolves the new key_id, or null when the key is unknown or revoked.
+  rotateProjectKey: (projectId, keyId, newApiKey, db) => {
+    return withTransaction(db, async () => {
+      const key = await statements.getProjectKey(projectId, keyId, db);
+      if (!key || key.revoked) return null;
+      await statements.revokeProjectKey(projectId, keyId, db);
+      return await statements.createProjectKey(
+        projectId,
+        newApiKey,
+        key.label,
+        key.scopes,
+        db,
+      );
+    });
   },
 
   getNextIdInProject: (projectId, db) => {
@@ -196,6 +673,57 @@ const statements = {
     return { node_id: nodeId, id_in_project: idInProject };
   },
 
+  updateNode: (nodeId, xCoord, yCoord, db) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        "UPDATE nodes SET x_coord = ?, y_coord = ? WHERE node_id = ?",
+        [xCoord, yCoord, nodeId],
+        function (err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        },
+      );
+    });
+  },
+
+  // Removes a node together with every connection touching it and the
+  // traversals recorded on those connections. Returns the removed
+  // connection ids so clients can drop them without a reload.
+  deleteNode: (projectId, nodeId, db) => {
+    return withTransaction(db, async () => {
+      const removed = await allRows(
+        "SELECT connection_id FROM connections WHERE from_node_id = ? OR to_node_id = ?",
+        [nodeId, nodeId],
+        db,
+      );
+      const connectionIds = removed.map((c) => c.connection_id);
+
+      for (const table of ["traversals", "congestion_history", "incidents"]) {
+        await runStatement(
+          `DELETE FROM ${table} WHERE connection_id IN (
+             SELECT connection_id FROM connections WHERE from_node_id = ? OR to_node_id = ?
+           )`,
+          [nodeId, nodeId],
+          db,
+        );
+      }
+      await runStatement(
+        "DELETE FROM connections WHERE from_node_id = ? OR to_node_id = ?",
+        [nodeId, nodeId],
+        db,
+      );
+      await runStatement(
+        "UPDATE car_data SET last_sighting_node_id = NULL WHERE last_sighting_node_id = ?",
+        [nodeId],
+        db,
+      );
+      await runStatement("DELETE FROM nodes WHERE node_id = ?", [nodeId], db);
+      await statements.syncProjectCounts(projectId, db);
+
+      return connectionIds;
+    });
+  },
+
   createConnection: async (
     projectId,
     fromNodeId,
@@ -220,7 +748,17 @@ const statements = {
     return connectionId;
   },
 
-  createViolation: async (projectId, carPlate, carSpeed, timestamp, db) => {
+  // `assumedPath` lists the id_in_project values of a multi-hop section;
+  // it is left empty for violations measured over a single connection.
+  createViolation: async (
+    projectId,
+    carPlate,
+    carSpeed,
+    timestamp,
+    db,
+    assumedPath = null,
+    vehicleClass = null,
+  ) => {
     console.log(projectId, carPlate, carSpeed, timestamp);
     return await addEntry(
       "violations",
@@ -228,7 +766,10 @@ const statements = {
         project_id: projectId,
         car_plate: carPlate,
         car_speed: carSpeed,
-        timestamp: timestamp,
+        timestamp:
+          typeof timestamp === "object" ? timestamp.toISOString() : timestamp,
+        assumed_path: assumedPath ? JSON.stringify(assumedPath) : null,
+        vehicle_class: vehicleClass,
       },
       db,
     );
@@ -267,27 +808,98 @@ const statements = {
 
     // Only update if the new timestamp is actually newer than what is stored,
     // preventing out-of-order HTTP requests from overwriting a later sighting.
-    db.run(
-      `UPDATE car_data
-       SET last_sighting_time = ?, last_sighting_node_id = ?
-       WHERE car_id = ? AND (last_sighting_time IS NULL OR last_sighting_time < ?)`,
-      [newSightingTime, newSightingNodeId, carId, newSightingTime],
-      function (err) {
-        if (err) {
-          console.error(err.message);
-        }
-        if (this.changes > 0) {
-          console.log(`Car ${carId} is on ${newSightingNodeId}`);
-        }
+    // Resolves once written so batched sightings see the previous update.
+    await new Promise((resolve) => {
+      db.run(
+        `UPDATE car_data
+         SET last_sighting_time = ?, last_sighting_node_id = ?
+         WHERE car_id = ? AND (last_sighting_time IS NULL OR last_sighting_time < ?)`,
+        [newSightingTime, newSightingNodeId, carId, newSightingTime],
+        function (err) {
+          if (err) {
+            console.error(err.message);
+          } else if (this.changes > 0) {
+            console.log(`Car ${carId} is on ${newSightingNodeId}`);
+          }
+          resolve();
+        },
+      );
+    });
+  },
+
+  // `result` is what calculateViolation returned for this sighting. A
+  // segment speed is only stored when the car came over a known connection.
+  recordSighting: async (projectId, carPlate, node, timestamp, result, db) => {
+    const pathConnectionIds =
+      result.pathConnectionIds ||
+      (result.connectionId !== undefined ? [result.connectionId] : null);
+    const hasSegment = pathConnectionIds !== null && !result.outOfOrder;
+    return await addEntry(
+      "sightings",
+      {
+        project_id: projectId,
+        car_plate: carPlate,
+        vehicle_class: result.vehicleClass || null,
+        node_id: node.node_id,
+        id_in_project: node.id_in_project,
+        timestamp:
+          typeof timestamp === "object" ? timestamp.toISOString() : timestamp,
+        connection_id:
+          hasSegment && result.connectionId !== undefined
+            ? result.connectionId
+            : null,
+        path_connection_ids: hasSegment
+          ? JSON.stringify(pathConnectionIds)
+          : null,
+        segment_speed: hasSegment ? result.carSpeed : null,
+        violation: result.status ? 1 : 0,
+        out_of_order: result.outOfOrder ? 1 : 0,
       },
+      db,
     );
   },
 
-  getConnectionByNodes: (fromNodeId, toNodeId, db) => {
+  getCarHistory: (projectId, carPlate, from, to, db) => {
+    const clauses = ["project_id = ?", "car_plate = ?"];
+    const params = [projectId, carPlate];
+    if (from) {
+      clauses.push("timestamp >= ?");
+      params.push(from);
+    }
+    if (to) {
+      clauses.push("timestamp < ?");
+      params.push(to);
+    }
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT sighting_id, vehicle_class, node_id, id_in_project, timestamp, connection_id,
+                path_connection_ids, segment_speed, violation, out_of_order
+         FROM sightings WHERE ${clauses.join(" AND ")}
+         ORDER BY timestamp ASC, sighting_id ASC`,
+        params,
+        (err, rows) => {
+          if (err) reject(err);
+          else
+            resolve(
+              (rows || []).map((r) => ({
+                ...r,
+                path_connection_ids: r.path_connection_ids
+                  ? JSON.parse(r.path_connection_ids)
+                  : [],
+                violation: r.violation === 1,
+                out_of_order: r.out_of_order === 1,
+              })),
+            );
+        },
+      );
+    });
+  },
+
+  getConnectionByNodes: (projectId, fromNodeId, toNodeId, db) => {
     return new Promise((resolve, reject) => {
       db.get(
-        "SELECT * FROM connections WHERE from_node_id = ? AND to_node_id = ?",
-        [fromNodeId, toNodeId],
+        "SELECT * FROM connections WHERE project_id = ? AND from_node_id = ? AND to_node_id = ?",
+        [projectId, fromNodeId, toNodeId],
         (err, row) => {
           if (err) {
             reject(err);
@@ -299,11 +911,13 @@ const statements = {
     });
   },
 
-  fetchCarData: (carPlate, db) => {
+  // Car state is per project: the same plate seen in two projects is
+  // tracked as two unrelated cars.
+  fetchCarData: (projectId, carPlate, db) => {
     return new Promise((resolve, reject) => {
       db.get(
-        "SELECT * FROM car_data WHERE car_plate = ?",
-        [carPlate],
+        "SELECT * FROM car_data WHERE project_id = ? AND car_plate = ?",
+        [projectId, carPlate],
         (err, row) => {
           if (err) {
             reject(err);
@@ -347,11 +961,20 @@ const statements = {
   getProjectConnections: (projectId, db) => {
     return new Promise((resolve, reject) => {
       db.all(
-        "SELECT connection_id, from_node_id, to_node_id, distance, speed_limit FROM connections WHERE project_id = ?",
+        "SELECT connection_id, from_node_id, to_node_id, distance, speed_limit, speed_schedule, class_limits FROM connections WHERE project_id = ?",
         [projectId],
         (err, rows) => {
           if (err) reject(err);
-          else resolve(rows || []);
+          else
+            resolve(
+              (rows || []).map((r) => ({
+                ...r,
+                speed_schedule: r.speed_schedule
+                  ? JSON.parse(r.speed_schedule)
+                  : [],
+                class_limits: r.class_limits ? JSON.parse(r.class_limits) : {},
+              })),
+            );
         },
       );
     });
@@ -370,11 +993,11 @@ const statements = {
     });
   },
 
-  authenticateProject: (apiKey, db) => {
+  getConnectionById: (connectionId, db) => {
     return new Promise((resolve, reject) => {
       db.get(
-        "SELECT project_id, project_name FROM projects WHERE api_key = ?",
-        [apiKey],
+        "SELECT * FROM connections WHERE connection_id = ?",
+        [connectionId],
         (err, row) => {
           if (err) reject(err);
           else resolve(row || null);
@@ -383,6 +1006,206 @@ const statements = {
     });
   },
 
+  // Removes a connection with the traversals and congestion history
+  // recorded on it.
+  deleteConnection: (projectId, connectionId, db) => {
+    return withTransaction(db, async () => {
+      for (const table of ["traversals", "congestion_history", "incidents"]) {
+        await runStatement(
+          `DELETE FROM ${table} WHERE connection_id IN (
+             SELECT connection_id FROM connections
+             WHERE connection_id = ? AND project_id = ?
+           )`,
+          [connectionId, projectId],
+          db,
+        );
+      }
+      const { changes } = await runStatement(
+        "DELETE FROM connections WHERE connection_id = ? AND project_id = ?",
+        [connectionId, projectId],
+        db,
+      );
+      if (changes > 0) {
+        await statements.decrementConnectionCount(projectId, db);
+      }
+      return changes;
+    });
+  },
+
+  // Writes a parsed graph document (see graph-format.js) into a project in
+  // one transaction. "replace" wipes the existing graph first; "merge"
+  // updates nodes matched by id_in_project and connections matched by their
+  // endpoints, and adds everything else.
+  importGraph: (projectId, graph, mode, db) => {
+    return withTransaction(db, async () => {
+      if (mode === "replace") {
+        for (const table of ["traversals", "congestion_history", "incidents"]) {
+          await runStatement(
+            `DELETE FROM ${table} WHERE connection_id IN (
+               SELECT connection_id FROM connections WHERE project_id = ?
+             )`,
+            [projectId],
+            db,
+          );
+        }
+        await runStatement(
+          "DELETE FROM connections WHERE project_id = ?",
+          [projectId],
+          db,
+        );
+        await runStatement(
+          "UPDATE car_data SET last_sighting_node_id = NULL WHERE project_id = ?",
+          [projectId],
+          db,
+        );
+        await runStatement(
+          "DELETE FROM nodes WHERE project_id = ?",
+          [projectId],
+          db,
+        );
+      }
+
+      const nodeIds = {}; // id_in_project -> node_id
+      const existingNodes = await allRows(
+        "SELECT node_id, id_in_project FROM nodes WHERE project_id = ?",
+        [projectId],
+        db,
+      );
+      for (const n of existingNodes) nodeIds[n.id_in_project] = n.node_id;
+
+      for (const node of graph.nodes) {
+        if (nodeIds[node.id] !== undefined) {
+          await runStatement(
+            "UPDATE nodes SET x_coord = ?, y_coord = ? WHERE node_id = ?",
+            [node.x, node.y, nodeIds[node.id]],
+            db,
+          );
+        } else {
+          const { lastID } = await runStatement(
+            "INSERT INTO nodes (project_id, id_in_project, x_coord, y_coord) VALUES (?, ?, ?, ?)",
+            [projectId, node.id, node.x, node.y],
+            db,
+          );
+          nodeIds[node.id] = lastID;
+        }
+      }
+
+      const connectionIds = {}; // "from_node_id->to_node_id" -> connection_id
+      const existingConnections = await allRows(
+        "SELECT connection_id, from_node_id, to_node_id FROM connections WHERE project_id = ?",
+        [projectId],
+        db,
+      );
+      for (const c of existingConnections) {
+        connectionIds[`${c.from_node_id}->${c.to_node_id}`] = c.connection_id;
+      }
+
+      for (const conn of graph.connections) {
+        const fromNodeId = nodeIds[conn.from];
+        const toNodeId = nodeIds[conn.to];
+        const existingId = connectionIds[`${fromNodeId}->${toNodeId}`];
+        const schedule =
+          conn.speed_schedule.length > 0
+            ? JSON.stringify(conn.speed_schedule)
+            : null;
+        const classLimits =
+          Object.keys(conn.class_limits).length > 0
+            ? JSON.stringify(conn.class_limits)
+            : null;
+        if (existingId !== undefined) {
+          await runStatement(
+            "UPDATE connections SET distance = ?, speed_limit = ?, speed_schedule = ?, class_limits = ? WHERE connection_id = ?",
+            [
+              conn.distance,
+              conn.speed_limit,
+              schedule,
+              classLimits,
+              existingId,
+            ],
+            db,
+          );
+        } else {
+          await runStatement(
+            "INSERT INTO connections (project_id, from_node_id, to_node_id, distance, speed_limit, speed_schedule, class_limits) VALUES (?, ?, ?, ?, ?, ?, ?)",
+            [
+              projectId,
+              fromNodeId,
+              toNodeId,
+              conn.distance,
+              conn.speed_limit,
+              schedule,
+              classLimits,
+            ],
+            db,
+          );
+        }
+      }
+
+      await statements.syncProjectCounts(projectId, db);
+    });
+  },
+
+  getProject: (projectId, db) => {
+    return new Promise((resolve, reject) => {
+      db.get(
+        "SELECT project_id, project_name, node_count, connection_count FROM projects WHERE project_id = ?",
+        [projectId],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row || null);
+        },
+      );
+    });
+  },
+
+  // `schedule` is a rule list checked by speed-schedule.js parseSchedule
+  updateConnectionSchedule: (connectionId, schedule, db) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        "UPDATE connections SET speed_schedule = ? WHERE connection_id = ?",
+        [schedule.length > 0 ? JSON.stringify(schedule) : null, connectionId],
+        function (err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        },
+      );
+    });
+  },
+
+  // `limits` is a class -> limit map checked by parseClassLimits
+  updateConnectionClassLimits: (connectionId, limits, db) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        "UPDATE connections SET class_limits = ? WHERE connection_id = ?",
+        [
+          Object.keys(limits).length > 0 ? JSON.stringify(limits) : null,
+          connectionId,
+        ],
+        function (err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        },
+      );
+    });
+  },
+
+  authenticateProject: async (apiKey, db) => {
+    let key;
+    try {
+      key = await findAPIKey(apiKey, db);
+    } catch (err) {
+      return null;
+    }
+    const project = await statements.getProject(key.project_id, db);
+    return project
+      ? {
+          project_id: project.project_id,
+          project_name: project.project_name,
+          scopes: key.scopes,
+        }
+      : null;
+  },
+
   incrementNodeCount: (projectId, db) => {
     return new Promise((resolve, reject) => {
       db.run(
@@ -409,6 +1232,36 @@ const statements = {
     });
   },
 
+  decrementConnectionCount: (projectId, db) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        "UPDATE projects SET connection_count = MAX(connection_count - 1, 0) WHERE project_id = ?",
+        [projectId],
+        function (err) {
+          if (err) reject(err);
+          else resolve();
+        },
+      );
+    });
+  },
+
+  // Recomputes the cached node/connection counters from the actual rows.
+  syncProjectCounts: (projectId, db) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE projects SET
+           node_count = (SELECT COUNT(*) FROM nodes WHERE project_id = ?),
+           connection_count = (SELECT COUNT(*) FROM connections WHERE project_id = ?)
+         WHERE project_id = ?`,
+        [projectId, projectId, projectId],
+        function (err) {
+          if (err) reject(err);
+          else resolve();
+        },
+      );
+    });
+  },
+
   getNodeByIdInProject: (projectId, idInProject, db) => {
     return new Promise((resolve, reject) => {
       db.get(
@@ -431,14 +1284,49 @@ const statements = {
     });
   },
 
-  getProjectViolations: (projectId, db) => {
+  // One page of violations matching `filters` (see buildViolationFilter),
+  // ordered by time then id. Pass `limit` to cap the page size.
+  getProjectViolations: (projectId, filters, db) => {
+    const { where, params } = buildViolationFilter(projectId, filters);
+    const direction = filters.order === "asc" ? "ASC" : "DESC";
     return new Promise((resolve, reject) => {
       db.all(
-        "SELECT violation_id, car_plate, car_speed, timestamp FROM violations WHERE project_id = ? ORDER BY violation_id DESC",
-        [projectId],
+        `SELECT violation_id, car_plate, vehicle_class, car_speed, timestamp,
+                assumed_path
+         FROM violations
+         WHERE ${where}
+         ORDER BY timestamp ${direction}, violation_id ${direction}
+         LIMIT ?`,
+        [...params, filters.limit || -1],
         (err, rows) => {
           if (err) reject(err);
-          else resolve(rows || []);
+          else
+            resolve(
+              (rows || []).map((r) => ({
+                ...r,
+                assumed_path: r.assumed_path
+                  ? JSON.parse(r.assumed_path)
+                  : null,
+              })),
+            );
+        },
+      );
+    });
+  },
+
+  // Number of violations matching `filters`, ignoring the cursor
+  countProjectViolations: (projectId, filters, db) => {
+    const { where, params } = buildViolationFilter(projectId, {
+      ...filters,
+      cursor: null,
+    });
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT COUNT(*) AS total FROM violations WHERE ${where}`,
+        params,
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row.total);
         },
       );
     });
@@ -447,7 +1335,10 @@ const statements = {
   listProjectsWithKeys: (db) => {
     return new Promise((resolve, reject) => {
       db.all(
-        "SELECT project_id, project_name, api_key, node_count, connection_count FROM projects",
+        `SELECT p.project_id, p.project_name, p.node_count, p.connection_count,
+                (SELECT COUNT(*) FROM project_keys k
+                 WHERE k.project_id = p.project_id AND k.revoked = 0) AS active_keys
+         FROM projects p`,
         [],
         (err, rows) => {
           if (err) reject(err);
@@ -457,6 +1348,321 @@ const statements = {
     });
   },
 
+  // --- Admin project management ---
+  renameProject: async (projectId, projectName, db) => {
+    const { changes } = await runStatement(
+      "UPDATE projects SET project_name = ? WHERE project_id = ?",
+      [projectName, projectId],
+      db,
+    );
+    return changes;
+  },
+
+  // Per-project overrides of rate-limiter.js DEFAULT_RATE_LIMITS
+  getProjectRateLimits: async (projectId, db) => {
+    const [row] = await allRows(
+      "SELECT rate_limits FROM projects WHERE project_id = ?",
+      [projectId],
+      db,
+    );
+    return row && row.rate_limits ? JSON.parse(row.rate_limits) : {};
+  },
+
+  // `limits` is checked by rate-limiter.js parseRateLimits
+  updateProjectRateLimits: async (projectId, limits, db) => {
+    const { changes } = await runStatement(
+      "UPDATE projects SET rate_limits = ? WHERE project_id = ?",
+      [
+        Object.keys(limits).length > 0 ? JSON.stringify(limits) : null,
+        projectId,
+      ],
+      db,
+    );
+    return changes;
+  },
+
+  // Removes a project and every row that belongs to it
+  deleteProject: (projectId, db) => {
+    return withTransaction(db, async () => {
+      for (const table of ["traversals", "congestion_history"]) {
+        await runStatement(
+          `DELETE FROM ${table} WHERE connection_id IN (
+             SELECT connection_id FROM connections WHERE project_id = ?
+           )`,
+          [projectId],
+          db,
+        );
+      }
+      for (const table of [
+        "connections",
+        "car_data",
+        "sightings",
+        "violations",
+        "nodes",
+        "project_keys",
+        "webhook_deliveries",
+        "webhooks",
+        "incidents",
+      ]) {
+        await runStatement(
+          `DELETE FROM ${table} WHERE project_id = ?`,
+          [projectId],
+          db,
+        );
+      }
+      const { changes } = await runStatement(
+        "DELETE FROM projects WHERE project_id = ?",
+        [projectId],
+        db,
+      );
+      return changes;
+    });
+  },
+
+  // Revokes every live key of a project and mints a single new one with
+  // every scope. Resolves the new key_id.
+  resetProjectKeys: (projectId, apiKey, db) => {
+    return withTransaction(db, async () => {
+      await runStatement(
+        "UPDATE project_keys SET revoked = 1, revoked_at = ? WHERE project_id = ? AND revoked = 0",
+        [new Date().toISOString(), projectId],
+        db,
+      );
+      return await statements.createProjectKey(
+        projectId,
+        apiKey,
+        "Default",
+        API_KEY_SCOPES,
+        db,
+      );
+    });
+  },
+
+  getProjectStats: async (projectId, db) => {
+    const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+    const [row] = await allRows(
+      `SELECT
+         (SELECT COUNT(*) FROM nodes WHERE project_id = $id) AS nodes,
+         (SELECT COUNT(*) FROM connections WHERE project_id = $id) AS connections,
+         (SELECT COUNT(*) FROM project_keys
+          WHERE project_id = $id AND revoked = 0) AS active_keys,
+         (SELECT COUNT(*) FROM car_data WHERE project_id = $id) AS tracked_cars,
+         (SELECT COUNT(*) FROM sightings WHERE project_id = $id) AS sightings,
+         (SELECT MAX(timestamp) FROM sightings
+          WHERE project_id = $id) AS last_sighting_at,
+         (SELECT COUNT(*) FROM violations WHERE project_id = $id) AS violations,
+         (SELECT COUNT(*) FROM violations
+          WHERE project_id = $id AND timestamp >= $dayAgo) AS violations_24h,
+         (SELECT COUNT(*) FROM traversals WHERE connection_id IN (
+            SELECT connection_id FROM connections WHERE project_id = $id
+          )) AS recent_traversals`,
+      { $id: projectId, $dayAgo: dayAgo },
+      db,
+    );
+    return row;
+  },
+
+  recordAdminAction: (action, projectId, actor, details, db) => {
+    return runStatement(
+      "INSERT INTO admin_audit (timestamp, action, project_id, actor, details) VALUES (?, ?, ?, ?, ?)",
+      [
+        new Date().toISOString(),
+        action,
+        projectId,
+        actor,
+        details ? JSON.stringify(details) : null,
+      ],
+      db,
+    );
+  },
+
+  listAdminActions: async (limit, db) => {
+    const rows = await allRows(
+      "SELECT * FROM admin_audit ORDER BY audit_id DESC LIMIT ?",
+      [limit],
+      db,
+    );
+    return rows.map((r) => ({
+      ...r,
+      details: r.details ? JSON.parse(r.details) : null,
+    }));
+  },
+
+  // --- Webhooks ---
+  listWebhooks: async (projectId, db) => {
+    const rows = await allRows(
+      "SELECT * FROM webhooks WHERE project_id = ? ORDER BY webhook_id",
+      [projectId],
+      db,
+    );
+    return rows.map(formatWebhook);
+  },
+
+  getWebhook: async (projectId, webhookId, db) => {
+    const [row] = await allRows(
+      "SELECT * FROM webhooks WHERE project_id = ? AND webhook_id = ?",
+      [projectId, webhookId],
+      db,
+    );
+    return row ? formatWebhook(row) : null;
+  },
+
+  // Active webhooks with their secrets, for webhooks.js only
+  getActiveWebhooks: (projectId, db) => {
+    return allRows(
+      "SELECT webhook_id, url, events, secret FROM webhooks WHERE project_id = ? AND active = 1",
+      [projectId],
+      db,
+    );
+  },
+
+  // Projects with an active webhook subscribed to `event`
+  listProjectsWithWebhook: async (event, db) => {
+    const rows = await allRows(
+      `SELECT DISTINCT project_id FROM webhooks
+       WHERE active = 1 AND (',' || events || ',') LIKE ?`,
+      [`%,${event},%`],
+      db,
+    );
+    return rows.map((r) => r.project_id);
+  },
+
+  createWebhook: async (projectId, webhook, db) => {
+    const { lastID } = await runStatement(
+      "INSERT INTO webhooks (project_id, url, events, secret, description, active, created_at) VALUES (?, ?, ?, ?, ?, 1, ?)",
+      [
+        projectId,
+        webhook.url,
+        webhook.events.join(","),
+        webhook.secret,
+        webhook.description || "",
+        new Date().toISOString(),
+      ],
+      db,
+    );
+    return lastID;
+  },
+
+  // `fields` may hold url, events, description, active and secret
+  updateWebhook: async (projectId, webhookId, fields, db) => {
+    const columns = {
+      url: fields.url,
+      events: fields.events && fields.events.join(","),
+      description: fields.description,
+      active: fields.active === undefined ? undefined : fields.active ? 1 : 0,
+      secret: fields.secret,
+    };
+    const entries = Object.entries(columns).filter(([, v]) => v !== undefined);
+    if (entries.length === 0) return 1;
+    const { changes } = await runStatement(
+      `UPDATE webhooks SET ${entries.map(([c]) => `${c} = ?`).join(", ")}
+       WHERE project_id = ? AND webhook_id = ?`,
+      [...entries.map(([, v]) => v), projectId, webhookId],
+      db,
+    );
+    return changes;
+  },
+
+  deleteWebhook: (projectId, webhookId, db) => {
+    return withTransaction(db, async () => {
+      await runStatement(
+        "DELETE FROM webhook_deliveries WHERE project_id = ? AND webhook_id = ?",
+        [projectId, webhookId],
+        db,
+      );
+      const { changes } = await runStatement(
+        "DELETE FROM webhooks WHERE project_id = ? AND webhook_id = ?",
+        [projectId, webhookId],
+        db,
+      );
+      return changes;
+    });
+  },
+
+  // `body` is the exact JSON text that will be signed and sent
+  enqueueWebhookDelivery: async (projectId, webhookId, event, body, db) => {
+    const now = new Date().toISOString();
+    const { lastID } = await runStatement(
+      "INSERT INTO webhook_deliveries (webhook_id, project_id, event, payload, status, attempts, next_attempt_at, created_at) VALUES (?, ?, ?, ?, 'pending', 0, ?, ?)",
+      [webhookId, projectId, event, body, now, now],
+      db,
+    );
+    return lastID;
+  },
+
+  // Pending deliveries whose next attempt is due, oldest first. Deliveries
+  // of paused webhooks wait until the webhook is active again.
+  getDueWebhookDeliveries: (limit, db) => {
+    return allRows(
+      `SELECT d.delivery_id, d.webhook_id, d.event, d.payload, d.attempts,
+              w.url, w.secret
+       FROM webhook_deliveries d
+       JOIN webhooks w ON w.webhook_id = d.webhook_id
+       WHERE d.status = 'pending' AND w.active = 1
+         AND d.next_attempt_at <= ?
+       ORDER BY d.next_attempt_at, d.delivery_id
+       LIMIT ?`,
+      [new Date().toISOString(), limit],
+      db,
+    );
+  },
+
+  // `attempt` is { status, attempts, next_attempt_at, response_status,
+  // last_error } as decided by webhooks.js
+  recordWebhookAttempt: (deliveryId, attempt, db) => {
+    const now = new Date().toISOString();
+    return runStatement(
+      `UPDATE webhook_deliveries
+       SET status = ?, attempts = ?, next_attempt_at = ?, last_attempt_at = ?,
+           response_status = ?, last_error = ?, delivered_at = ?
+       WHERE delivery_id = ?`,
+      [
+        attempt.status,
+        attempt.attempts,
+        attempt.next_attempt_at,
+        now,
+        attempt.response_status,
+        attempt.last_error,
+        attempt.status === "delivered" ? now : null,
+        deliveryId,
+      ],
+      db,
+    );
+  },
+
+  listWebhookDeliveries: async (projectId, webhookId, filters, db) => {
+    const where = ["project_id = ?", "webhook_id = ?"];
+    const params = [projectId, webhookId];
+    if (filters.status) {
+      where.push("status = ?");
+      params.push(filters.status);
+    }
+    const rows = await allRows(
+      `SELECT delivery_id, event, status, attempts, created_at,
+              last_attempt_at, next_attempt_at, delivered_at,
+              response_status, last_error, payload
+       FROM webhook_deliveries WHERE ${where.join(" AND ")}
+       ORDER BY delivery_id DESC LIMIT ?`,
+      [...params, filters.limit],
+      db,
+    );
+    return rows.map((r) => ({
+      ...r,
+      next_attempt_at: r.status === "pending" ? r.next_attempt_at : null,
+      payload: JSON.parse(r.payload),
+    }));
+  },
+
+  // Drops finished deliveries older than `before` (ISO string)
+  pruneWebhookDeliveries: async (before, db) => {
+    const { changes } = await runStatement(
+      "DELETE FROM webhook_deliveries WHERE status != 'pending' AND created_at < ?",
+      [before],
+      db,
+    );
+    return changes;
+  },
+
   getThumbnailData: (projectId, db) => {
     return new Promise(async (resolve, reject) => {
       try {
@@ -521,18 +1727,228 @@ const statements = {
     });
   },
 
-  getRecentTraversals: (connectionId, windowMs, db) => {
-    return new Promise((resolve, reject) => {
-      const cutoff = new Date(Date.now() - windowMs).toISOString();
-      db.all(
-        "SELECT delta_t FROM traversals WHERE connection_id = ? AND timestamp >= ?",
-        [connectionId, cutoff],
-        (err, rows) => {
-          if (err) reject(err);
-          else resolve(rows || []);
-        },
-      );
-    });
+  // Traversals since `since` summed per connection and `bucketMs` slice
+  // of time: [{ connection_id, project_id, bucket, count, total }] where
+  // bucket is the slice's start in ms divided by bucketMs.
+  getTraversalBuckets: (since, bucketMs, db) => {
+    return allRows(
+      `SELECT t.connection_id, c.project_id,
+              CAST(strftime('%s', t.timestamp) AS INTEGER) * 1000 / $bucketMs
+                AS bucket,
+              COUNT(*) AS count, SUM(t.delta_t) AS total
+       FROM traversals t
+       JOIN connections c ON c.connection_id = t.connection_id
+       WHERE t.timestamp >= $since
+       GROUP BY t.connection_id, bucket`,
+      { $since: since.toISOString(), $bucketMs: bucketMs },
+      db,
+    );
+  },
+
+  // Adds one traversal to the congestion_history row of each
+  // [resolution, bucket_start] in `buckets`
+  addCongestionHistory: (connectionId, buckets, deltaT, legalT, db) => {
+    const rows = buckets.map(() => "(?, ?, ?, 1, ?, ?)").join(", ");
+    return runStatement(
+      `INSERT INTO congestion_history (connection_id, resolution,
+         bucket_start, count, total_delta_t, total_legal_t)
+       VALUES ${rows}
+       ON CONFLICT (connection_id, resolution, bucket_start) DO UPDATE SET
+         count = count + 1,
+         total_delta_t = total_delta_t + excluded.total_delta_t,
+         total_legal_t = total_legal_t + excluded.total_legal_t`,
+      buckets.flatMap(([resolution, start]) => [
+        connectionId,
+        resolution,
+        start,
+        deltaT,
+        legalT,
+      ]),
+      db,
+    );
+  },
+
+  // congestion_history rows of one resolution summed into `bucketMs`
+  // buckets: [{ bucket, count, total_delta_t, total_legal_t }] where bucket
+  // is the bucket's start in ms divided by bucketMs
+  getCongestionHistory: (connectionId, resolution, from, to, bucketMs, db) => {
+    return allRows(
+      `SELECT CAST(strftime('%s', bucket_start) AS INTEGER) * 1000 / $bucketMs
+                AS bucket,
+              SUM(count) AS count, SUM(total_delta_t) AS total_delta_t,
+              SUM(total_legal_t) AS total_legal_t
+       FROM congestion_history
+       WHERE connection_id = $connectionId AND resolution = $resolution
+         AND bucket_start >= $from AND bucket_start < $to
+       GROUP BY bucket ORDER BY bucket`,
+      {
+        $connectionId: connectionId,
+        $resolution: resolution,
+        $from: from,
+        $to: to,
+        $bucketMs: bucketMs,
+      },
+      db,
+    );
+  },
+
+  // The project's congestion_history rows of one resolution since `since`
+  getProjectCongestionHistory: (projectId, resolution, since, db) => {
+    return allRows(
+      `SELECT h.connection_id, h.bucket_start, h.count, h.total_delta_t,
+              h.total_legal_t
+       FROM congestion_history h
+       JOIN connections c ON c.connection_id = h.connection_id
+       WHERE c.project_id = ? AND h.resolution = ? AND h.bucket_start >= ?`,
+      [projectId, resolution, since],
+      db,
+    );
+  },
+
+  // The project's hourly congestion_history in [since, until) summed per
+  // connection and hour of the week (0 = Sunday 00:00 UTC)
+  getCongestionWeekProfile: (projectId, since, until, db) => {
+    return allRows(
+      `SELECT h.connection_id,
+              CAST(strftime('%w', h.bucket_start) AS INTEGER) * 24 +
+                CAST(strftime('%H', h.bucket_start) AS INTEGER) AS hour_of_week,
+              SUM(h.count) AS count, SUM(h.total_delta_t) AS total_delta_t,
+              SUM(h.total_legal_t) AS total_legal_t
+       FROM congestion_history h
+       JOIN connections c ON c.connection_id = h.connection_id
+       WHERE c.project_id = ? AND h.resolution = 'hour'
+         AND h.bucket_start >= ? AND h.bucket_start < ?
+       GROUP BY h.connection_id, hour_of_week`,
+      [projectId, since, until],
+      db,
+    );
+  },
+
+  // Projects with hourly congestion history since `since`
+  listProjectsWithHistory: async (since, db) => {
+    const rows = await allRows(
+      `SELECT DISTINCT c.project_id FROM congestion_history h
+       JOIN connections c ON c.connection_id = h.connection_id
+       WHERE h.resolution = 'hour' AND h.bucket_start >= ?`,
+      [since],
+      db,
+    );
+    return rows.map((r) => r.project_id);
+  },
+
+  // The oldest row of each of the project's connections at `resolution`
+  getCongestionHistoryStart: (projectId, resolution, db) => {
+    return allRows(
+      `SELECT h.connection_id, MIN(h.bucket_start) AS first
+       FROM congestion_history h
+       JOIN connections c ON c.connection_id = h.connection_id
+       WHERE c.project_id = ? AND h.resolution = ?
+       GROUP BY h.connection_id`,
+      [projectId, resolution],
+      db,
+    );
+  },
+
+  // The newest minute row of each of the project's connections, i.e. the
+  // minute of its last traversal
+  getLastTraversalMinutes: (projectId, db) => {
+    return allRows(
+      `SELECT h.connection_id, MAX(h.bucket_start) AS last
+       FROM congestion_history h
+       JOIN connections c ON c.connection_id = h.connection_id
+       WHERE c.project_id = ? AND h.resolution = 'minute'
+       GROUP BY h.connection_id`,
+      [projectId],
+      db,
+    );
+  },
+
+  deleteCongestionHistory: async (resolution, before, db) => {
+    const { changes } = await runStatement(
+      "DELETE FROM congestion_history WHERE resolution = ? AND bucket_start < ?",
+      [resolution, before],
+      db,
+    );
+    return changes;
+  },
+
+  // Cars of the project last seen since `since` (epoch ms), with the node
+  // they were seen at and the connection they took the last time they left
+  // that node (null if they never were seen doing so)
+  getRecentCarPositions: (projectId, since, db) => {
+    return allRows(
+      `SELECT d.last_sighting_node_id AS node_id, d.last_sighting_time,
+              (SELECT s.connection_id FROM sightings s
+               JOIN connections c ON c.connection_id = s.connection_id
+               WHERE s.project_id = d.project_id AND s.car_plate = d.car_plate
+                 AND c.from_node_id = d.last_sighting_node_id
+               ORDER BY s.timestamp DESC LIMIT 1) AS last_exit
+       FROM car_data d
+       WHERE d.project_id = ? AND d.last_sighting_time >= ?`,
+      [projectId, since],
+      db,
+    );
+  },
+
+  // --- Incidents ---
+  createIncident: async (projectId, connectionId, type, details, db) => {
+    const openedAt = new Date().toISOString();
+    const { lastID } = await runStatement(
+      "INSERT INTO incidents (project_id, connection_id, type, opened_at, details) VALUES (?, ?, ?, ?, ?)",
+      [projectId, connectionId, type, openedAt, JSON.stringify(details)],
+      db,
+    );
+    return {
+      incident_id: lastID,
+      project_id: projectId,
+      connection_id: connectionId,
+      type,
+      opened_at: openedAt,
+      closed_at: null,
+      details,
+    };
+  },
+
+  closeIncident: async (incidentId, db) => {
+    const closedAt = new Date().toISOString();
+    await runStatement(
+      "UPDATE incidents SET closed_at = ? WHERE incident_id = ?",
+      [closedAt, incidentId],
+      db,
+    );
+    return closedAt;
+  },
+
+  // Every open incident of every project
+  listOpenIncidents: async (db) => {
+    const rows = await allRows(
+      "SELECT * FROM incidents WHERE closed_at IS NULL",
+      [],
+      db,
+    );
+    return rows.map(incidentFromRow);
+  },
+
+  // The project's incidents, newest first. `status` is "open", "closed"
+  // or "all"; `from` and `to` (ISO strings or null) bound opened_at.
+  listIncidents: async (projectId, { status, from, to, limit }, db) => {
+    const conditions = ["project_id = $projectId"];
+    if (status === "open") conditions.push("closed_at IS NULL");
+    if (status === "closed") conditions.push("closed_at IS NOT NULL");
+    if (from) conditions.push("opened_at >= $from");
+    if (to) conditions.push("opened_at <= $to");
+    const rows = await allRows(
+      `SELECT * FROM incidents WHERE ${conditions.join(" AND ")}
+       ORDER BY opened_at DESC, incident_id DESC LIMIT $limit`,
+      {
+        $projectId: projectId,
+        ...(from && { $from: from }),
+        ...(to && { $to: to }),
+        $limit: limit,
+      },
+      db,
+    );
+    return rows.map(incidentFromRow);
   },
 
   deleteOldTraversals: (windowMs, db) => {
@@ -553,5 +1969,7 @@ const statements = {
 module.exports = {
   createDatabase,
   initializeDatabase,
+  withTransaction,
+  afterCommit,
   statements,
 };
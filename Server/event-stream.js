@@ -0,0 +1,180 @@
+// Server-Sent Events for GET /project/:id/events.
+//
+// Every project event is numbered and kept in a short per-project buffer,
+// so a client that reconnects with Last-Event-ID gets what it missed. Ids
+// look like "<boot>.<seq>": after a restart, or when the client has fallen
+// further behind than the buffer reaches, it gets a `resync` event instead
+// and should reload the project's state.
+
+// Event names and payloads match the Socket.IO events of the same name
+const PROJECT_EVENTS = [
+  "violation-added",
+  "violations-added",
+  "node-triggered",
+  "nodes-triggered",
+  "congestion-update",
+  "congestion-forecast",
+  "node-added",
+  "node-updated",
+  "node-removed",
+  "connection-added",
+  "connection-updated",
+  "connection-removed",
+  "graph-reloaded",
+  "project-renamed",
+  "distance-driver-status",
+  "incident-opened",
+  "incident-closed",
+];
+
+const MAX_BUFFERED_EVENTS = 500;
+const MAX_STREAMS_PER_PROJECT = 100;
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const RETRY_MS = 3000;
+
+const BOOT_ID = Date.now().toString(36);
+const projects = {}; // project_id -> { seq, buffer: [], streams: Set }
+
+function projectState(projectId) {
+  if (!projects[projectId]) {
+    projects[projectId] = { seq: 0, buffer: [], streams: new Set() };
+  }
+  return projects[projectId];
+}
+
+/**
+ * Validates a comma-separated `types` filter. Returns the event names, or
+ * null for every event; throws on unknown names.
+ */
+function parseEventTypes(value) {
+  if (value === undefined || value === "") return null;
+  const types = String(value)
+    .split(",")
+    .map((type) => type.trim())
+    .filter(Boolean);
+  for (const type of types) {
+    if (!PROJECT_EVENTS.includes(type)) {
+      throw new Error(`Unknown event type: ${type}`);
+    }
+  }
+  return types;
+}
+
+function writeEvent(res, entry) {
+  res.write(`id: ${BOOT_ID}.${entry.seq}\nevent: ${entry.event}\n`);
+  res.write(`data: ${entry.data}\n\n`);
+}
+
+/**
+ * Numbers an event, buffers it and sends it to the project's streams. A
+ * violations-added batch is followed by a violation-added per violation,
+ * so streams filtered to violation-added see every violation.
+ */
+function recordProjectEvent(projectId, event, data) {
+  appendEvent(projectId, event, data);
+  if (event === "violations-added") {
+    for (const violation of data.violations) {
+      appendEvent(projectId, "violation-added", violation);
+    }
+  }
+}
+
+function appendEvent(projectId, event, data) {
+  const state = projectState(projectId);
+  const entry = { seq: ++state.seq, event, data: JSON.stringify(data) };
+  state.buffer.push(entry);
+  if (state.buffer.length > MAX_BUFFERED_EVENTS) state.buffer.shift();
+
+  for (const stream of state.streams) {
+    if (!stream.types || stream.types.includes(event)) {
+      writeEvent(stream.res, entry);
+    }
+  }
+}
+
+// Sends buffered events after `lastEventId`, or `resync` when some of them
+// are no longer buffered.
+function replay(state, stream, lastEventId) {
+  const [boot, seqText] = String(lastEventId).split(".");
+  const seq = parseInt(seqText);
+  const oldest = state.buffer.length > 0 ? state.buffer[0].seq : state.seq + 1;
+  if (boot !== BOOT_ID || !(seq >= 0) || seq > state.seq || seq < oldest - 1) {
+    stream.res.write(
+      `event: resync\ndata: ${JSON.stringify({ reason: "events missed" })}\n\n`,
+    );
+    return;
+  }
+  for (const entry of state.buffer) {
+    if (
+      entry.seq > seq &&
+      (!stream.types || stream.types.includes(entry.event))
+    ) {
+      writeEvent(stream.res, entry);
+    }
+  }
+}
+
+/**
+ * Turns `res` into an event stream for the project. `types` is null or a
+ * list from parseEventTypes. Returns false, without touching `res`, when
+ * the project already has MAX_STREAMS_PER_PROJECT streams open.
+ */
+function openEventStream(req, res, projectId, keyId, types, lastEventId) {
+  const state = projectState(projectId);
+  if (state.streams.size >= MAX_STREAMS_PER_PROJECT) return false;
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const stream = { res, keyId, types };
+  if (lastEventId) replay(state, stream, lastEventId);
+  state.streams.add(stream);
+
+  // Comments keep proxies from closing an idle connection
+  const heartbeat = setInterval(
+    () => res.write(": ping\n\n"),
+    HEARTBEAT_INTERVAL_MS,
+  );
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    state.streams.delete(stream);
+  });
+  return true;
+}
+
+// Projects with at least one open stream
+function projectsWithEventStreams() {
+  return Object.keys(projects)
+    .filter((projectId) => projects[projectId].streams.size > 0)
+    .map(Number);
+}
+
+/**
+ * Ends the project's streams, or only those opened with `keyId`. With no
+ * `keyId` the project's buffer is dropped as well.
+ */
+function closeEventStreams(projectId, keyId = null) {
+  const state = projects[projectId];
+  if (!state) return;
+  for (const stream of state.streams) {
+    if (keyId === null || stream.keyId === keyId) {
+      stream.res.end();
+      state.streams.delete(stream);
+    }
+  }
+  if (keyId === null) delete projects[projectId];
+}
+
+module.exports = {
+  PROJECT_EVENTS,
+  parseEventTypes,
+  recordProjectEvent,
+  openEventStream,
+  projectsWithEventStreams,
+  closeEventStreams,
+};
@@ -0,0 +1,202 @@
+// Serialization of a project's road graph for /project/:id/export and
+// /project/:id/import. Nodes are identified by their id_in_project so a
+// document can be moved between projects without touching database ids.
+
+const { parseSchedule, parseClassLimits } = require("./speed-schedule.js");
+
+const GRAPH_FORMAT = "smart-checkpoints-graph";
+const GRAPH_FORMAT_VERSION = 1;
+
+function mapNodeIds(nodes) {
+  const map = {};
+  for (const n of nodes) map[n.node_id] = n.id_in_project;
+  return map;
+}
+
+/**
+ * Builds the native JSON document from rows returned by
+ * statements.getProjectNodes / getProjectConnections.
+ */
+function toGraphDocument(project, nodes, connections) {
+  const idMap = mapNodeIds(nodes);
+  return {
+    format: GRAPH_FORMAT,
+    version: GRAPH_FORMAT_VERSION,
+    project_name: project.project_name,
+    nodes: nodes.map((n) => ({
+      id: n.id_in_project,
+      x: n.x_coord,
+      y: n.y_coord,
+    })),
+    connections: connections.map((c) => ({
+      from: idMap[c.from_node_id],
+      to: idMap[c.to_node_id],
+      distance: c.distance,
+      speed_limit: c.speed_limit,
+      speed_schedule: c.speed_schedule || [],
+      class_limits: c.class_limits || {},
+    })),
+  };
+}
+
+/**
+ * Builds a GeoJSON FeatureCollection: one Point per node and one LineString
+ * per connection. Coordinates are the project's canvas coordinates, not
+ * longitude/latitude.
+ */
+function toGeoJSON(project, nodes, connections) {
+  const graph = toGraphDocument(project, nodes, connections);
+  const positions = {};
+  for (const n of graph.nodes) positions[n.id] = [n.x, n.y];
+
+  return {
+    type: "FeatureCollection",
+    properties: {
+      format: GRAPH_FORMAT,
+      version: GRAPH_FORMAT_VERSION,
+      project_name: graph.project_name,
+    },
+    features: [
+      ...graph.nodes.map((n) => ({
+        type: "Feature",
+        geometry: { type: "Point", coordinates: [n.x, n.y] },
+        properties: { kind: "node", id_in_project: n.id },
+      })),
+      ...graph.connections.map((c) => ({
+        type: "Feature",
+        geometry: {
+          type: "LineString",
+          coordinates: [positions[c.from], positions[c.to]],
+        },
+        properties: {
+          kind: "connection",
+          from: c.from,
+          to: c.to,
+          distance: c.distance,
+          speed_limit: c.speed_limit,
+          speed_schedule: c.speed_schedule,
+          class_limits: c.class_limits,
+        },
+      })),
+    ],
+  };
+}
+
+function fromGeoJSON(collection) {
+  const nodes = [];
+  const connections = [];
+  for (const feature of collection.features || []) {
+    const geometry = feature && feature.geometry;
+    const props = (feature && feature.properties) || {};
+    if (!geometry) continue;
+
+    if (geometry.type === "Point") {
+      const [x, y] = geometry.coordinates || [];
+      nodes.push({ id: props.id_in_project, x, y });
+    } else if (geometry.type === "LineString") {
+      connections.push({
+        from: props.from,
+        to: props.to,
+        distance: props.distance,
+        speed_limit: props.speed_limit,
+        speed_schedule: props.speed_schedule,
+        class_limits: props.class_limits,
+      });
+    }
+  }
+  return { nodes, connections };
+}
+
+function isFiniteNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+/**
+ * Normalizes a native or GeoJSON document into
+ * { nodes: [{ id, x, y }],
+ *   connections: [{ from, to, distance, speed_limit, speed_schedule,
+ *                   class_limits }] }.
+ * `knownIds` lists id_in_project values that already exist in the target
+ * project (used by merge imports). Throws on malformed input.
+ */
+function parseGraphDocument(doc, knownIds = []) {
+  if (!doc || typeof doc !== "object") {
+    throw new Error("Graph document must be a JSON object");
+  }
+
+  const graph =
+    doc.type === "FeatureCollection"
+      ? fromGeoJSON(doc)
+      : { nodes: doc.nodes || [], connections: doc.connections || [] };
+
+  if (!Array.isArray(graph.nodes) || !Array.isArray(graph.connections)) {
+    throw new Error("`nodes` and `connections` must be arrays");
+  }
+
+  const ids = new Set();
+  const nodes = graph.nodes.map((n, i) => {
+    if (!n || !Number.isInteger(n.id) || n.id < 0) {
+      throw new Error(`nodes[${i}]: id must be a non-negative integer`);
+    }
+    if (!isFiniteNumber(n.x) || !isFiniteNumber(n.y)) {
+      throw new Error(`nodes[${i}]: x and y must be numbers`);
+    }
+    if (ids.has(n.id)) {
+      throw new Error(`nodes[${i}]: duplicate id ${n.id}`);
+    }
+    ids.add(n.id);
+    return { id: n.id, x: n.x, y: n.y };
+  });
+
+  const available = new Set([...ids, ...knownIds]);
+  const pairs = new Set();
+  const connections = graph.connections.map((c, i) => {
+    if (!c || !available.has(c.from) || !available.has(c.to)) {
+      throw new Error(`connections[${i}]: from/to must reference known nodes`);
+    }
+    if (c.from === c.to) {
+      throw new Error(`connections[${i}]: from and to must differ`);
+    }
+    const pair = `${c.from}->${c.to}`;
+    if (pairs.has(pair)) {
+      throw new Error(`connections[${i}]: duplicate connection ${pair}`);
+    }
+    pairs.add(pair);
+
+    // A zero length would make every traversal faster than the legal time
+    const distance = c.distance;
+    if (!isFiniteNumber(distance) || distance <= 0) {
+      throw new Error(`connections[${i}]: distance must be a positive number`);
+    }
+    if (!isFiniteNumber(c.speed_limit) || c.speed_limit <= 0) {
+      throw new Error(
+        `connections[${i}]: speed_limit must be a positive number`,
+      );
+    }
+    let speedSchedule, classLimits;
+    try {
+      speedSchedule = parseSchedule(c.speed_schedule || []);
+      classLimits = parseClassLimits(c.class_limits || {});
+    } catch (err) {
+      throw new Error(`connections[${i}]: ${err.message}`);
+    }
+    return {
+      from: c.from,
+      to: c.to,
+      distance,
+      speed_limit: c.speed_limit,
+      speed_schedule: speedSchedule,
+      class_limits: classLimits,
+    };
+  });
+
+  return { nodes, connections };
+}
+
+module.exports = {
+  GRAPH_FORMAT,
+  GRAPH_FORMAT_VERSION,
+  toGraphDocument,
+  toGeoJSON,
+  parseGraphDocument,
+};
@@ -0,0 +1,155 @@
+// Shortest paths over a project's connection graph. Connections are the
+// rows returned by statements.getProjectConnections (directed edges keyed
+// by database node ids).
+
+const { limitAt } = require("./speed-schedule.js");
+
+// Minimal binary heap of [priority, value] pairs, smallest priority first
+function createHeap() {
+  const items = [];
+
+  function push(priority, value) {
+    items.push([priority, value]);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent][0] <= items[i][0]) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  function pop() {
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left][0] < items[smallest][0]) {
+          smallest = left;
+        }
+        if (right < items.length && items[right][0] < items[smallest][0]) {
+          smallest = right;
+        }
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+
+  return { push, pop, size: () => items.length };
+}
+
+/**
+ * Dijkstra from `fromNodeId` to `toNodeId`. `weight(conn)` returns the
+ * cost of an edge (defaults to its distance); edges with a non-finite or
+ * negative cost are skipped. Returns { cost, nodeIds, connections } or null
+ * when `toNodeId` is unreachable.
+ */
+function findShortestPath(
+  connections,
+  fromNodeId,
+  toNodeId,
+  weight = (conn) => conn.distance,
+) {
+  if (fromNodeId === toNodeId) return null;
+
+  const outgoing = {};
+  for (const conn of connections) {
+    (outgoing[conn.from_node_id] ||= []).push(conn);
+  }
+
+  const best = { [fromNodeId]: 0 };
+  const via = {}; // node_id -> connection used to reach it
+  const heap = createHeap();
+  heap.push(0, fromNodeId);
+
+  while (heap.size() > 0) {
+    const [cost, nodeId] = heap.pop();
+    if (cost > best[nodeId]) continue;
+    if (nodeId === toNodeId) break;
+
+    for (const conn of outgoing[nodeId] || []) {
+      const edgeCost = weight(conn);
+      if (!Number.isFinite(edgeCost) || edgeCost < 0) continue;
+      const next = cost + edgeCost;
+      if (best[conn.to_node_id] === undefined || next < best[conn.to_node_id]) {
+        best[conn.to_node_id] = next;
+        via[conn.to_node_id] = conn;
+        heap.push(next, conn.to_node_id);
+      }
+    }
+  }
+
+  if (best[toNodeId] === undefined) return null;
+
+  const path = [];
+  for (let node = toNodeId; node !== fromNodeId;) {
+    const conn = via[node];
+    path.unshift(conn);
+    node = conn.from_node_id;
+  }
+  return {
+    cost: best[toNodeId],
+    nodeIds: [fromNodeId, ...path.map((c) => c.to_node_id)],
+    connections: path,
+  };
+}
+
+// --- Travel-time routing ---
+
+/**
+ * The fastest route from `fromNodeId` to `toNodeId` at `time` given the
+ * live congestion `ratios` ({ connection_id: ratio }, see
+ * congestion.js), and the route that would be fastest at the speed limits
+ * alone. Each is { nodeIds, connections, freeFlowTimes, travelTimes } with
+ * per-connection times in seconds, or both are null when `toNodeId` is
+ * unreachable. A connection without a ratio is assumed to flow at its
+ * limit.
+ */
+function findRoutes(connections, fromNodeId, toNodeId, ratios, time) {
+  const freeFlow = {};
+  const travel = {};
+  for (const conn of connections) {
+    freeFlow[conn.connection_id] = (conn.distance / limitAt(conn, time)) * 3.6;
+    travel[conn.connection_id] =
+      freeFlow[conn.connection_id] * (ratios[conn.connection_id] ?? 1);
+  }
+
+  const withTimes = (path) =>
+    path && {
+      nodeIds: path.nodeIds,
+      connections: path.connections,
+      freeFlowTimes: path.connections.map((c) => freeFlow[c.connection_id]),
+      travelTimes: path.connections.map((c) => travel[c.connection_id]),
+    };
+  return {
+    fastest: withTimes(
+      findShortestPath(
+        connections,
+        fromNodeId,
+        toNodeId,
+        (c) => travel[c.connection_id],
+      ),
+    ),
+    freeFlow: withTimes(
+      findShortestPath(
+        connections,
+        fromNodeId,
+        toNodeId,
+        (c) => freeFlow[c.connection_id],
+      ),
+    ),
+  };
+}
+
+module.exports = {
+  findShortestPath,
+  findRoutes,
+};
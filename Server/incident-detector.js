@@ -0,0 +1,347 @@
+// Incident detection.
+//
+// Once a minute every project with recent traffic is checked for three
+// kinds of incident per connection, each judged against the connection's
+// baseline: the same hour of the week over the last BASELINE_WEEKS weeks
+// of hourly congestion history (see congestion-history.js).
+//
+// - "congestion-spike": the live congestion ratio (see congestion.js) is
+//   at least SPIKE_FACTOR times the baseline ratio;
+// - "stalled-traffic": cars were last seen at the connection's start node
+//   long enough ago that they should have reached its end, and none has
+//   come out of the connection since. A car counts for the exit it took
+//   the last time it left that node; a car never seen leaving it is shared
+//   among the node's exits by their usual traffic;
+// - "flow-drop": far fewer traversals in the last FLOW_WINDOW_MS than the
+//   baseline leads to expect.
+//
+// An incident stays open until its condition has clearly cleared, so a
+// value that hovers around a threshold does not open and close it over
+// and over. Open incidents are kept in memory and loaded at startup.
+
+const { statements } = require("./database.js");
+const { congestionRatios, trafficCount } = require("./congestion.js");
+const { limitAt } = require("./speed-schedule.js");
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const WEEK_HOURS = 7 * 24;
+const WEEK = WEEK_HOURS * HOUR;
+
+const INCIDENT_TYPES = ["congestion-spike", "stalled-traffic", "flow-drop"];
+const DETECT_INTERVAL_MS = MINUTE;
+// Projects without hourly history this recent are not checked
+const ACTIVE_PROJECT_WINDOW_MS = 2 * HOUR;
+const BASELINE_WEEKS = 4;
+const BASELINE_TTL_MS = HOUR;
+
+const SPIKE_FACTOR = 1.8;
+const MIN_SPIKE_RATIO = 1.5;
+const MIN_SPIKE_SAMPLES = 3; // traversals in the live window
+const SPIKE_CLEAR_FACTOR = 1.3;
+
+const STALL_LOOKBACK_MS = 30 * MINUTE;
+const STALL_FACTOR = 3; // times the usual traversal time
+const MIN_STALL_MS = 2 * MINUTE;
+const MIN_STALLED_CARS = 3;
+// A connection without traffic for this long is taken to be unused
+const STALL_USE_WINDOW_MS = 2 * HOUR;
+
+const FLOW_WINDOW_MS = 15 * MINUTE;
+const MIN_EXPECTED_FLOW = 10; // traversals in FLOW_WINDOW_MS
+const FLOW_DROP_SHARE = 0.25;
+const FLOW_RECOVER_SHARE = 0.5;
+
+const open = {}; // project_id -> { "connection_id:type": incident }
+const baselines = {}; // project_id -> { at, connections }
+
+function openIncidents(projectId) {
+  return (open[projectId] = open[projectId] || {});
+}
+
+/** Loads the open incidents; call once at startup. */
+async function loadIncidents(db) {
+  for (const incident of await statements.listOpenIncidents(db)) {
+    openIncidents(incident.project_id)[
+      `${incident.connection_id}:${incident.type}`
+    ] = incident;
+  }
+}
+
+// Projects that have an open incident
+function projectsWithIncidents() {
+  return Object.keys(open)
+    .filter((projectId) => Object.keys(open[projectId]).length > 0)
+    .map(Number);
+}
+
+/** Projects to check: recent traffic or an incident to close. */
+async function incidentProjects(db, now = Date.now()) {
+  const recent = await statements.listProjectsWithHistory(
+    new Date(now - ACTIVE_PROJECT_WINDOW_MS).toISOString(),
+    db,
+  );
+  return [...new Set([...recent, ...projectsWithIncidents()])];
+}
+
+function hourOfWeek(time) {
+  const date = new Date(time);
+  return date.getUTCDay() * 24 + date.getUTCHours();
+}
+
+// How often the hour of the week `hour` started in [first, until), both
+// whole hours
+function hourOccurrences(hour, first, until) {
+  const back = (hourOfWeek(until) - hour + WEEK_HOURS) % WEEK_HOURS;
+  const latest = until - (back === 0 ? WEEK_HOURS : back) * HOUR;
+  return latest < first ? 0 : Math.floor((latest - first) / WEEK) + 1;
+}
+
+// connection_id -> { first, until, hours: { hour_of_week: { count, ratio,
+// meanDeltaT } }, ratio, meanDeltaT } summed over the hourly history in
+// [first, until)
+async function loadBaselines(projectId, now, db) {
+  const cached = baselines[projectId];
+  if (cached && now - cached.at < BASELINE_TTL_MS) return cached.connections;
+
+  const until = Math.floor(now / HOUR) * HOUR;
+  const since = until - BASELINE_WEEKS * WEEK;
+  const [rows, starts] = await Promise.all([
+    statements.getCongestionWeekProfile(
+      projectId,
+      new Date(since).toISOString(),
+      new Date(until).toISOString(),
+      db,
+    ),
+    statements.getCongestionHistoryStart(projectId, "hour", db),
+  ]);
+
+  const connections = {};
+  for (const start of starts) {
+    connections[start.connection_id] = {
+      first: Math.max(new Date(start.first).getTime(), since),
+      until,
+      hours: {},
+      count: 0,
+      totalDeltaT: 0,
+      totalLegalT: 0,
+    };
+  }
+  for (const row of rows) {
+    const baseline = connections[row.connection_id];
+    if (!baseline || !(row.count > 0)) continue;
+    baseline.hours[row.hour_of_week] = {
+      count: row.count,
+      ratio:
+        row.total_legal_t > 0 ? row.total_delta_t / row.total_legal_t : null,
+      meanDeltaT: row.total_delta_t / row.count,
+    };
+    baseline.count += row.count;
+    baseline.totalDeltaT += row.total_delta_t;
+    baseline.totalLegalT += row.total_legal_t;
+  }
+  for (const baseline of Object.values(connections)) {
+    baseline.ratio =
+      baseline.totalLegalT > 0
+        ? baseline.totalDeltaT / baseline.totalLegalT
+        : null;
+    baseline.meanDeltaT =
+      baseline.count > 0 ? baseline.totalDeltaT / baseline.count : null;
+  }
+  baselines[projectId] = { at: now, connections };
+  return connections;
+}
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// --- Detectors ---
+// Each returns the details to open an incident with, or null when there
+// is none; `isOpen` relaxes the condition so an open incident stays open
+// until it has clearly cleared.
+
+function detectSpike(ctx, isOpen) {
+  const ratio = ctx.ratio;
+  if (ratio === undefined) return null;
+  const hour = ctx.baseline && ctx.baseline.hours[ctx.hourOfWeek];
+  const baseline =
+    (hour && hour.ratio) || (ctx.baseline && ctx.baseline.ratio) || 1;
+  const spiking = isOpen
+    ? ratio >= SPIKE_CLEAR_FACTOR * baseline
+    : ctx.samples >= MIN_SPIKE_SAMPLES &&
+      ratio >= MIN_SPIKE_RATIO &&
+      ratio >= SPIKE_FACTOR * baseline;
+  return spiking ? { ratio, baseline: round(baseline) } : null;
+}
+
+function detectStall(ctx, isOpen) {
+  const { now, lastExit, connection } = ctx;
+  if (!isOpen && (lastExit === null || now - lastExit > STALL_USE_WINDOW_MS)) {
+    return null;
+  }
+  const hour = ctx.baseline && ctx.baseline.hours[ctx.hourOfWeek];
+  const usual =
+    (hour && hour.meanDeltaT) ||
+    (ctx.baseline && ctx.baseline.meanDeltaT) ||
+    (connection.distance / limitAt(connection, new Date(now))) * 3.6;
+  const overdueBefore =
+    now - Math.max(MIN_STALL_MS, STALL_FACTOR * usual * 1000);
+  const enteredAfter = Math.max(lastExit || 0, now - STALL_LOOKBACK_MS);
+  let stalled = 0;
+  for (const car of ctx.carsAtStart || []) {
+    if (car.time <= enteredAfter || car.time >= overdueBefore) continue;
+    if (car.exit === null) stalled += ctx.exitShare;
+    else if (car.exit === connection.connection_id) stalled += 1;
+  }
+  if (stalled < MIN_STALLED_CARS) return null;
+  return {
+    stalled_cars: round(stalled),
+    last_exit: lastExit === null ? null : new Date(lastExit).toISOString(),
+  };
+}
+
+function detectFlowDrop(ctx, isOpen) {
+  const hour = ctx.baseline && ctx.baseline.hours[ctx.hourOfWeek];
+  if (!hour) return null;
+  const { first, until } = ctx.baseline;
+  const weeks = hourOccurrences(ctx.hourOfWeek, first, until);
+  const expected = (hour.count / weeks) * (FLOW_WINDOW_MS / HOUR);
+  if (expected < MIN_EXPECTED_FLOW) return null;
+  const dropped = isOpen
+    ? ctx.flow < FLOW_RECOVER_SHARE * expected
+    : ctx.flow <= FLOW_DROP_SHARE * expected;
+  return dropped ? { observed: ctx.flow, expected: round(expected) } : null;
+}
+
+// connection_id -> share of the traffic leaving the connection's start node
+// that usually takes it: from this hour of the week when the node's exits
+// have history for it, else from all of their history, else equal shares
+function exitShares(connections, connBaselines, hour) {
+  const exits = {}; // from_node_id -> [{ id, hour, all }]
+  for (const conn of connections) {
+    const baseline = connBaselines[conn.connection_id];
+    (exits[conn.from_node_id] = exits[conn.from_node_id] || []).push({
+      id: conn.connection_id,
+      hour:
+        (baseline && baseline.hours[hour] && baseline.hours[hour].count) || 0,
+      all: (baseline && baseline.count) || 0,
+    });
+  }
+  const shares = {};
+  for (const list of Object.values(exits)) {
+    const byHour = list.reduce((sum, exit) => sum + exit.hour, 0);
+    const byAll = list.reduce((sum, exit) => sum + exit.all, 0);
+    for (const exit of list) {
+      if (byHour > 0) shares[exit.id] = exit.hour / byHour;
+      else if (byAll > 0) shares[exit.id] = exit.all / byAll;
+      else shares[exit.id] = 1 / list.length;
+    }
+  }
+  return shares;
+}
+
+const DETECTORS = {
+  "congestion-spike": detectSpike,
+  "stalled-traffic": detectStall,
+  "flow-drop": detectFlowDrop,
+};
+
+/**
+ * Checks every connection of the project, stores what changed and returns
+ * { opened: [incident], closed: [incident] } for broadcasting.
+ */
+async function detectIncidents(projectId, db, now = Date.now()) {
+  const [connections, recent, lastMinutes, cars, connBaselines] =
+    await Promise.all([
+      statements.getProjectConnections(projectId, db),
+      statements.getProjectCongestionHistory(
+        projectId,
+        "minute",
+        new Date(now - FLOW_WINDOW_MS).toISOString(),
+        db,
+      ),
+      statements.getLastTraversalMinutes(projectId, db),
+      statements.getRecentCarPositions(projectId, now - STALL_LOOKBACK_MS, db),
+      loadBaselines(projectId, now, db),
+    ]);
+
+  const flow = {};
+  for (const row of recent) {
+    flow[row.connection_id] = (flow[row.connection_id] || 0) + row.count;
+  }
+  const lastExit = {};
+  for (const row of lastMinutes) {
+    lastExit[row.connection_id] = new Date(row.last).getTime() + MINUTE;
+  }
+  const carsAt = {}; // node_id -> [{ time, exit }]
+  for (const car of cars) {
+    (carsAt[car.node_id] = carsAt[car.node_id] || []).push({
+      time: car.last_sighting_time,
+      exit: car.last_exit,
+    });
+  }
+  const ratios = congestionRatios(projectId, connections, now);
+  const shares = exitShares(connections, connBaselines, hourOfWeek(now));
+
+  const incidents = openIncidents(projectId);
+  const opened = [];
+  const closed = [];
+  const present = new Set();
+  for (const connection of connections) {
+    const id = connection.connection_id;
+    present.add(id);
+    const ctx = {
+      now,
+      connection,
+      hourOfWeek: hourOfWeek(now),
+      baseline: connBaselines[id],
+      ratio: ratios[id],
+      samples: trafficCount(id, now),
+      flow: flow[id] || 0,
+      lastExit: lastExit[id] ?? null,
+      carsAtStart: carsAt[connection.from_node_id],
+      exitShare: shares[id],
+    };
+    for (const type of INCIDENT_TYPES) {
+      const key = `${id}:${type}`;
+      const incident = incidents[key];
+      const details = DETECTORS[type](ctx, Boolean(incident));
+      if (details && !incident) {
+        incidents[key] = await statements.createIncident(
+          projectId,
+          id,
+          type,
+          details,
+          db,
+        );
+        opened.push(incidents[key]);
+      } else if (!details && incident) {
+        incident.closed_at = await statements.closeIncident(
+          incident.incident_id,
+          db,
+        );
+        delete incidents[key];
+        closed.push(incident);
+      }
+    }
+  }
+  // Incidents of deleted connections were deleted with them
+  for (const key of Object.keys(incidents)) {
+    if (!present.has(incidents[key].connection_id)) delete incidents[key];
+  }
+  return { opened, closed };
+}
+
+// Call when the project is deleted
+function forgetIncidents(projectId) {
+  delete open[projectId];
+  delete baselines[projectId];
+}
+
+module.exports = {
+  INCIDENT_TYPES,
+  DETECT_INTERVAL_MS,
+  loadIncidents,
+  incidentProjects,
+  detectIncidents,
+  forgetIncidents,
+};
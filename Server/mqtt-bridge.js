@@ -0,0 +1,159 @@
+// MQTT bridge for roadside units that cannot speak HTTP.
+//
+// When MQTT_URL is set (e.g. mqtt://localhost:1883) the server connects to
+// that broker and subscribes to
+//
+//   projects/<project_id>/checkpoints/<id_in_project>
+//
+// Each message is a JSON object with the /report-checkpoint fields plus the
+// camera's key: { "api-key", "car-plate", "timestamp", "vehicle-class" }.
+// The key needs the report scope and must belong to <project_id>; messages
+// count against the key's report rate limit like HTTP requests do. The
+// result is published to the message's MQTT 5 response topic when it has
+// one, otherwise to
+//
+//   projects/<project_id>/checkpoints/<id_in_project>/response
+//
+// as the /report-checkpoint response body plus "status-code" (the HTTP
+// status it would have had) and "request-id" copied from the message.
+// Optional settings: MQTT_USERNAME, MQTT_PASSWORD, MQTT_CLIENT_ID and
+// MQTT_PROTOCOL_VERSION (5 by default; 4 for MQTT 3.1.1 brokers, which
+// always answer on the default response topic).
+
+const mqtt = require("mqtt");
+const { findAPIKey } = require("./api-key-manager.js");
+const { takeToken } = require("./rate-limiter.js");
+const { describeErrors } = require("./validation.js");
+const { validateSighting } = require("./request-schemas.js");
+
+const CHECKPOINT_TOPIC = "projects/+/checkpoints/+";
+const TOPIC_PATTERN = /^projects\/(\d+)\/checkpoints\/(\d+)$/;
+const MAX_PAYLOAD_BYTES = 16 * 1024;
+
+function parseMessage(payload) {
+  if (payload.length > MAX_PAYLOAD_BYTES) {
+    throw new Error("Payload too large");
+  }
+  let message;
+  try {
+    message = JSON.parse(payload.toString("utf8"));
+  } catch (err) {
+    throw new Error("Payload must be JSON");
+  }
+  if (!message || typeof message !== "object" || Array.isArray(message)) {
+    throw new Error("Payload must be a JSON object");
+  }
+  return message;
+}
+
+/**
+ * Authenticates and reports one message. Resolves { status, body } where
+ * status is the HTTP status /report-checkpoint would have answered with.
+ */
+async function handleMessage(projectId, idInProject, message, db, report) {
+  let key;
+  try {
+    key = await findAPIKey(message["api-key"], db);
+  } catch (err) {
+    return { status: 401, body: { error: "Invalid API key" } };
+  }
+  if (!key.scopes.includes("report")) {
+    return { status: 403, body: { error: "API key lacks the report scope" } };
+  }
+  if (key.project_id !== projectId) {
+    return { status: 403, body: { error: "API key does not match project" } };
+  }
+  const limit = await takeToken(projectId, key.key_id, "report", db);
+  if (!limit.allowed) {
+    return {
+      status: 429,
+      body: {
+        error: "Rate limit exceeded for report requests",
+        retry_after: limit.retryAfter,
+      },
+    };
+  }
+
+  const sighting = {
+    "car-plate": message["car-plate"],
+    "id-in-project": idInProject,
+    timestamp: message["timestamp"],
+    "vehicle-class": message["vehicle-class"],
+  };
+  const errors = validateSighting(sighting);
+  if (errors.length > 0) {
+    return { status: 400, body: { error: describeErrors(errors), errors } };
+  }
+  return report(projectId, sighting);
+}
+
+/**
+ * Connects to MQTT_URL and feeds checkpoint messages to `report`, which
+ * takes (projectId, body) like /report-checkpoint and resolves
+ * { status, body }. Returns the client, or null when MQTT is not
+ * configured.
+ */
+function startMqttBridge(db, report) {
+  const url = process.env.MQTT_URL;
+  if (!url) return null;
+
+  const client = mqtt.connect(url, {
+    protocolVersion: parseInt(process.env.MQTT_PROTOCOL_VERSION) || 5,
+    clientId: process.env.MQTT_CLIENT_ID || undefined,
+    username: process.env.MQTT_USERNAME || undefined,
+    password: process.env.MQTT_PASSWORD || undefined,
+  });
+
+  client.on("connect", () => {
+    console.log(`📡 MQTT bridge connected to ${new URL(url).host}`);
+    client.subscribe(CHECKPOINT_TOPIC, { qos: 1 }, (err) => {
+      if (err) console.error("MQTT subscribe error:", err.message);
+    });
+  });
+  client.on("error", (err) => {
+    console.error("MQTT error:", err.message);
+  });
+
+  client.on("message", async (topic, payload, packet) => {
+    const match = topic.match(TOPIC_PATTERN);
+    if (!match) return;
+    const projectId = parseInt(match[1]);
+    const idInProject = parseInt(match[2]);
+    const properties = packet.properties || {};
+    let requestId = null;
+
+    const respond = ({ status, body }) => {
+      const options = { qos: 1 };
+      if (properties.correlationData) {
+        options.properties = { correlationData: properties.correlationData };
+      }
+      client.publish(
+        properties.responseTopic || `${topic}/response`,
+        JSON.stringify({
+          "request-id": requestId,
+          "status-code": status,
+          ...body,
+        }),
+        options,
+      );
+    };
+
+    let message;
+    try {
+      message = parseMessage(payload);
+    } catch (err) {
+      return respond({ status: 400, body: { error: err.message } });
+    }
+    requestId = message["request-id"] ?? null;
+    try {
+      respond(await handleMessage(projectId, idInProject, message, db, report));
+    } catch (err) {
+      console.error("MQTT report error:", err);
+      respond({ status: 500, body: { error: "Failed to report checkpoint" } });
+    }
+  });
+
+  return client;
+}
+
+module.exports = { startMqttBridge };
@@ -0,0 +1,243 @@
+// Token-bucket rate limiting for API key routes.
+//
+// Every key has one bucket per route class. A bucket holds up to `burst`
+// tokens and refills at `per_minute` tokens a minute; each request takes
+// one token and is refused with 429 when the bucket is empty. A request
+// can cost more, such as a batch of sightings taking one per sighting; it
+// needs that many tokens, or a full bucket when it costs more than the
+// burst, and then leaves the bucket in debt until it has refilled. Limits are
+// set per project in projects.rate_limits, e.g.
+//
+//   { "report": { "per_minute": 1200, "burst": 200 } }
+//
+// and classes left out use DEFAULT_RATE_LIMITS. Buckets and throttle
+// counts live in memory, so they start afresh when the server restarts.
+
+const RATE_LIMIT_CLASSES = ["report", "read", "edit"];
+
+const DEFAULT_RATE_LIMITS = {
+  report: { per_minute: 600, burst: 100 },
+  read: { per_minute: 300, burst: 60 },
+  edit: { per_minute: 120, burst: 30 },
+};
+
+const MAX_PER_MINUTE = 100000;
+const MAX_BURST = 10000;
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+const buckets = {}; // "<key_id>:<class>" -> { tokens, updatedAt, ... }
+const projectLimits = {}; // project_id -> overrides read from the database
+const throttled = {}; // project_id -> { keys: { key_id: { class: n } } }
+
+/**
+ * Validates per-project overrides received from a client. Returns the
+ * cleaned object (an empty object restores the defaults) or throws.
+ */
+function parseRateLimits(limits) {
+  if (limits === null) return {};
+  if (typeof limits !== "object" || Array.isArray(limits)) {
+    throw new Error("rate limits must be an object");
+  }
+  const cleaned = {};
+  for (const [routeClass, limit] of Object.entries(limits)) {
+    if (!RATE_LIMIT_CLASSES.includes(routeClass)) {
+      throw new Error(`Unknown route class: ${routeClass}`);
+    }
+    if (!limit || typeof limit !== "object") {
+      throw new Error(`${routeClass}: must be an object`);
+    }
+    const { per_minute, burst } = limit;
+    if (!Number.isInteger(per_minute) || per_minute < 1) {
+      throw new Error(`${routeClass}: per_minute must be a positive integer`);
+    }
+    if (!Number.isInteger(burst) || burst < 1) {
+      throw new Error(`${routeClass}: burst must be a positive integer`);
+    }
+    if (per_minute > MAX_PER_MINUTE || burst > MAX_BURST) {
+      throw new Error(
+        `${routeClass}: at most ${MAX_PER_MINUTE} per minute and a burst of ${MAX_BURST}`,
+      );
+    }
+    cleaned[routeClass] = { per_minute, burst };
+  }
+  return cleaned;
+}
+
+// Overrides merged over the defaults
+function effectiveRateLimits(overrides = {}) {
+  const limits = {};
+  for (const routeClass of RATE_LIMIT_CLASSES) {
+    limits[routeClass] =
+      overrides[routeClass] || DEFAULT_RATE_LIMITS[routeClass];
+  }
+  return limits;
+}
+
+function loadProjectLimits(projectId, db) {
+  if (projectLimits[projectId]) {
+    return Promise.resolve(projectLimits[projectId]);
+  }
+  return new Promise((resolve, reject) => {
+    db.get(
+      "SELECT rate_limits FROM projects WHERE project_id = ?",
+      [projectId],
+      (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        const overrides =
+          row && row.rate_limits ? JSON.parse(row.rate_limits) : {};
+        projectLimits[projectId] = overrides;
+        resolve(overrides);
+      },
+    );
+  });
+}
+
+// Call after a project's limits change or the project is deleted
+function forgetProjectLimits(projectId) {
+  delete projectLimits[projectId];
+  for (const id of Object.keys(buckets)) {
+    if (buckets[id].projectId === projectId) delete buckets[id];
+  }
+}
+
+// Call when the project is deleted
+function forgetProject(projectId) {
+  forgetProjectLimits(projectId);
+  delete throttled[projectId];
+}
+
+function countThrottle(projectId, keyId, routeClass) {
+  const project = (throttled[projectId] = throttled[projectId] || { keys: {} });
+  const key = (project.keys[keyId] = project.keys[keyId] || {});
+  key[routeClass] = (key[routeClass] || 0) + 1;
+}
+
+/**
+ * Requests refused per key and route class since the server started:
+ * { key_id: { report, read, edit } }.
+ */
+function getKeyThrottleCounts(projectId) {
+  const counts = {};
+  const project = throttled[projectId];
+  if (!project) return counts;
+  for (const [keyId, perClass] of Object.entries(project.keys)) {
+    counts[keyId] = { report: 0, read: 0, edit: 0, ...perClass };
+  }
+  return counts;
+}
+
+// The same summed over the project's keys: { report, read, edit }
+function getThrottleCounts(projectId) {
+  const totals = { report: 0, read: 0, edit: 0 };
+  for (const perClass of Object.values(getKeyThrottleCounts(projectId))) {
+    for (const routeClass of RATE_LIMIT_CLASSES) {
+      totals[routeClass] += perClass[routeClass];
+    }
+  }
+  return totals;
+}
+
+/**
+ * Takes `cost` tokens from the key's bucket for `routeClass`. Returns
+ * { allowed, limit, remaining, reset, retryAfter } with times in seconds.
+ */
+async function takeToken(projectId, keyId, routeClass, db, cost = 1) {
+  const overrides = await loadProjectLimits(projectId, db);
+  const limit = effectiveRateLimits(overrides)[routeClass];
+  const perMs = limit.per_minute / 60000;
+  const now = Date.now();
+
+  const id = `${keyId}:${routeClass}`;
+  let bucket = buckets[id];
+  if (!bucket) {
+    bucket = buckets[id] = { tokens: limit.burst, updatedAt: now, projectId };
+  }
+  bucket.limit = limit;
+  bucket.tokens = Math.min(
+    limit.burst,
+    bucket.tokens + (now - bucket.updatedAt) * perMs,
+  );
+  bucket.updatedAt = now;
+
+  const needed = Math.min(cost, limit.burst);
+  const allowed = bucket.tokens >= needed;
+  if (allowed) bucket.tokens -= cost;
+  else countThrottle(projectId, keyId, routeClass);
+
+  return {
+    allowed,
+    limit,
+    remaining: Math.max(0, Math.floor(bucket.tokens)),
+    reset: Math.ceil((limit.burst - bucket.tokens) / perMs / 1000),
+    retryAfter: allowed
+      ? 0
+      : Math.ceil((needed - bucket.tokens) / perMs / 1000),
+  };
+}
+
+function setRateLimitHeaders(res, result) {
+  const { limit } = result;
+  const window = Math.ceil((limit.burst * 60) / limit.per_minute);
+  res.set("RateLimit-Policy", `${limit.burst};w=${window}`);
+  res.set("RateLimit-Limit", String(limit.burst));
+  res.set("RateLimit-Remaining", String(result.remaining));
+  res.set("RateLimit-Reset", String(result.reset));
+}
+
+/**
+ * Middleware for routes behind authenticateAPIKey: limits requests per key
+ * in `routeClass` and answers 429 with Retry-After when the bucket is empty.
+ * `cost(req)` gives the tokens a request takes, one by default.
+ */
+function rateLimit(db, routeClass, cost = () => 1) {
+  return async (req, res, next) => {
+    let result;
+    try {
+      result = await takeToken(
+        req.projectId,
+        req.apiKeyId,
+        routeClass,
+        db,
+        cost(req),
+      );
+    } catch (err) {
+      console.error("Error checking rate limit:", err);
+      return next();
+    }
+    setRateLimitHeaders(res, result);
+    if (!result.allowed) {
+      res.set("Retry-After", String(result.retryAfter));
+      return res.status(429).json({
+        error: `Rate limit exceeded for ${routeClass} requests`,
+        retry_after: result.retryAfter,
+      });
+    }
+    next();
+  };
+}
+
+// Buckets that have refilled completely carry no state worth keeping
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, bucket] of Object.entries(buckets)) {
+    const { burst, per_minute } = bucket.limit;
+    const refilled = (now - bucket.updatedAt) * (per_minute / 60000);
+    if (bucket.tokens + refilled >= burst) delete buckets[id];
+  }
+}, SWEEP_INTERVAL_MS).unref();
+
+module.exports = {
+  RATE_LIMIT_CLASSES,
+  DEFAULT_RATE_LIMITS,
+  parseRateLimits,
+  effectiveRateLimits,
+  forgetProjectLimits,
+  forgetProject,
+  getThrottleCounts,
+  getKeyThrottleCounts,
+  takeToken,
+  rateLimit,
+};
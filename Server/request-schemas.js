@@ -0,0 +1,840 @@
+// Schemas for every REST route and Socket.IO event.
+//
+// Each route lists its method, path and the schemas of its path
+// parameters, query string and JSON body. server.js puts
+// validateRequest(route) (see validation.js) in front of every route here
+// and /openapi.json is built from the same table, so the document cannot
+// drift from what the server accepts. Checks that need the database, such
+// as whether a node exists, stay in the handlers.
+
+const { API_KEY_SCOPES } = require("./api-key-manager.js");
+const { EXPORT_FORMATS } = require("./violation-export.js");
+const { PROJECT_EVENTS } = require("./event-stream.js");
+const { HISTORY_BUCKETS } = require("./congestion-history.js");
+const { INCIDENT_TYPES } = require("./incident-detector.js");
+const { validateValue } = require("./validation.js");
+
+const MAX_PROJECT_NAME_LENGTH = 100;
+const MAX_PLATE_LENGTH = 32;
+
+function object(properties, required = [], extra = {}) {
+  return { type: "object", properties, required, ...extra };
+}
+
+// --- Shared fields ---
+const id = (description) => ({ type: "integer", minimum: 1, description });
+const coordinate = (description) => ({ type: "number", description });
+const timestamp = (description) => ({
+  type: ["string", "integer"],
+  format: "date-time",
+  description: `${description} (ISO 8601 or epoch milliseconds)`,
+});
+const pageLimit = (max) => ({
+  type: "integer",
+  minimum: 1,
+  description: `Page size, capped at ${max}`,
+});
+
+const distance = {
+  type: "number",
+  exclusiveMinimum: 0,
+  description: "Length of the connection in metres",
+};
+const speedLimit = {
+  type: "number",
+  exclusiveMinimum: 0,
+  description: "Speed limit in km/h",
+};
+const speedSchedule = {
+  type: ["array", "null"],
+  maxItems: 20,
+  items: object(
+    {
+      days: {
+        type: "integer",
+        minimum: 1,
+        maximum: 127,
+        description: "Bit mask, bit 0 = Sunday",
+      },
+      start: { type: "string", description: "HH:MM" },
+      end: { type: "string", description: "HH:MM" },
+      speed_limit: speedLimit,
+    },
+    ["start", "end", "speed_limit"],
+  ),
+  description: "Time-of-day limits; null or [] clears the schedule",
+};
+const classLimits = {
+  type: ["object", "null"],
+  additionalProperties: { type: "number", exclusiveMinimum: 0 },
+  description: "Vehicle class to speed limit; null or {} clears them",
+};
+const vehicleClass = {
+  type: ["string", "null"],
+  description: "Letters, digits, '-' or '_', at most 32 characters",
+};
+const rateLimit = object(
+  {
+    per_minute: { type: "integer", minimum: 1, maximum: 100000 },
+    burst: { type: "integer", minimum: 1, maximum: 10000 },
+  },
+  ["per_minute", "burst"],
+  { additionalProperties: false },
+);
+
+const projectParams = object({ id: id("Project id") }, ["id"]);
+
+// Fields of /report-checkpoint, each item of /report-checkpoints and each
+// MQTT checkpoint message
+const sighting = object(
+  {
+    "car-plate": {
+      type: "string",
+      minLength: 1,
+      maxLength: MAX_PLATE_LENGTH,
+    },
+    "id-in-project": {
+      type: "integer",
+      minimum: 0,
+      description: "The checkpoint's id within the project",
+    },
+    timestamp: timestamp("When the car was seen; defaults to now"),
+    "vehicle-class": vehicleClass,
+  },
+  ["car-plate", "id-in-project"],
+);
+
+const violationFilters = {
+  from: timestamp("Earliest violation"),
+  to: timestamp("Latest violation"),
+  plate: { type: "string" },
+  "plate-prefix": { type: "string" },
+  "vehicle-class": { type: "string" },
+  "min-speed": { type: "number" },
+  order: { type: "string", enum: ["asc", "desc"] },
+  cursor: { type: "string", description: "next_cursor of the last page" },
+};
+
+const webhookFields = {
+  url: { type: "string", format: "uri", description: "http(s) URL" },
+  events: {
+    type: "array",
+    minItems: 1,
+    items: { type: "string", enum: PROJECT_EVENTS },
+  },
+  description: { type: "string", maxLength: 200 },
+  active: { type: "boolean" },
+  secret: { type: "string", minLength: 16 },
+};
+const webhookParams = object(
+  { id: id("Project id"), webhookId: id("Webhook id") },
+  ["id", "webhookId"],
+);
+const keyParams = object({ id: id("Project id"), keyId: id("Key id") }, [
+  "id",
+  "keyId",
+]);
+
+// --- REST routes ---
+// `auth` is the API key scope a route needs, "admin" for an admin session
+// or null for none.
+const ROUTES = {
+  createProject: {
+    method: "post",
+    path: "/create-project",
+    tag: "Projects",
+    summary: "Create a project and its first API key",
+    auth: null,
+    body: object(
+      {
+        "project-name": {
+          type: "string",
+          minLength: 1,
+          maxLength: MAX_PROJECT_NAME_LENGTH,
+        },
+      },
+      ["project-name"],
+    ),
+  },
+  authenticate: {
+    method: "post",
+    path: "/authenticate",
+    tag: "Projects",
+    summary: "Look up the project and scopes of an API key",
+    auth: null,
+    body: object({ "api-key": { type: "string", minLength: 1 } }, ["api-key"]),
+  },
+  listProjects: {
+    method: "get",
+    path: "/list-projects",
+    tag: "Projects",
+    summary: "List projects",
+    auth: null,
+  },
+  thumbnailData: {
+    method: "get",
+    path: "/project/:id/thumbnail-data",
+    tag: "Projects",
+    summary: "Node and connection geometry for a project thumbnail",
+    auth: null,
+    params: projectParams,
+  },
+  distanceDriverStatus: {
+    method: "get",
+    path: "/project/:id/distance-driver-status",
+    tag: "Projects",
+    summary: "Whether a distance driver is connected",
+    auth: "read",
+    params: projectParams,
+  },
+
+  createNode: {
+    method: "post",
+    path: "/create-node",
+    tag: "Graph",
+    summary: "Add a checkpoint node",
+    auth: "edit",
+    body: object(
+      {
+        "x-coord": coordinate("Canvas x coordinate"),
+        "y-coord": coordinate("Canvas y coordinate"),
+        "z-coord": coordinate("Optional height, not stored"),
+      },
+      ["x-coord", "y-coord"],
+    ),
+  },
+  updateNode: {
+    method: "put",
+    path: "/node/:id",
+    tag: "Graph",
+    summary: "Move a node",
+    auth: "edit",
+    params: object({ id: id("Node id") }, ["id"]),
+    body: object(
+      {
+        "x-coord": coordinate("Canvas x coordinate"),
+        "y-coord": coordinate("Canvas y coordinate"),
+      },
+      ["x-coord", "y-coord"],
+    ),
+  },
+  deleteNode: {
+    method: "delete",
+    path: "/node/:id",
+    tag: "Graph",
+    summary: "Delete a node and its connections",
+    auth: "edit",
+    params: object({ id: id("Node id") }, ["id"]),
+  },
+  createConnection: {
+    method: "post",
+    path: "/create-connection",
+    tag: "Graph",
+    summary: "Connect two nodes of the project",
+    description:
+      "distance may be left out while a distance driver is connected; the driver then measures it.",
+    auth: "edit",
+    body: object(
+      {
+        "from-node-id": id("node_id of the start node"),
+        "to-node-id": id("node_id of the end node"),
+        distance: { ...distance, type: ["number", "null"] },
+        "speed-limit": speedLimit,
+      },
+      ["from-node-id", "to-node-id", "speed-limit"],
+    ),
+  },
+  updateConnection: {
+    method: "put",
+    path: "/connection/:id",
+    tag: "Graph",
+    summary: "Change a connection's distance and limits",
+    auth: "edit",
+    params: object({ id: id("Connection id") }, ["id"]),
+    body: object(
+      {
+        distance,
+        "speed-limit": speedLimit,
+        "speed-schedule": speedSchedule,
+        "class-limits": classLimits,
+      },
+      ["distance", "speed-limit"],
+    ),
+  },
+  deleteConnection: {
+    method: "delete",
+    path: "/connection/:id",
+    tag: "Graph",
+    summary: "Delete a connection",
+    auth: "edit",
+    params: object({ id: id("Connection id") }, ["id"]),
+  },
+  listNodes: {
+    method: "get",
+    path: "/project/:id/nodes",
+    tag: "Graph",
+    summary: "List the project's nodes",
+    auth: "read",
+    params: projectParams,
+  },
+  listConnections: {
+    method: "get",
+    path: "/project/:id/connections",
+    tag: "Graph",
+    summary: "List the project's connections",
+    auth: "read",
+    params: projectParams,
+  },
+  exportGraph: {
+    method: "get",
+    path: "/project/:id/export",
+    tag: "Graph",
+    summary: "Export the road graph",
+    auth: "read",
+    params: projectParams,
+    query: object({ format: { type: "string", enum: ["json", "geojson"] } }),
+  },
+  importGraph: {
+    method: "post",
+    path: "/project/:id/import",
+    tag: "Graph",
+    summary: "Import a road graph document or GeoJSON",
+    auth: "edit",
+    params: projectParams,
+    query: object({ mode: { type: "string", enum: ["replace", "merge"] } }),
+    body: object({
+      nodes: { type: "array" },
+      connections: {
+        type: "array",
+        items: object({ distance }, ["distance"]),
+      },
+      type: { type: "string", description: "FeatureCollection for GeoJSON" },
+      features: { type: "array" },
+    }),
+  },
+
+  reportCheckpoint: {
+    method: "post",
+    path: "/report-checkpoint",
+    tag: "Reporting",
+    summary: "Report a car passing a checkpoint",
+    auth: "report",
+    body: sighting,
+  },
+  reportCheckpoints: {
+    method: "post",
+    path: "/report-checkpoints",
+    tag: "Reporting",
+    summary: "Report up to 1000 sightings at once",
+    description:
+      "Invalid sightings do not fail the batch; their result carries error and errors instead.",
+    auth: "report",
+    body: {
+      type: "array",
+      description: "Sightings with the /report-checkpoint fields",
+    },
+  },
+
+  listViolations: {
+    method: "get",
+    path: "/project/:id/violations",
+    tag: "Violations",
+    summary: "List violations, newest first",
+    auth: "read",
+    params: projectParams,
+    query: object({ ...violationFilters, limit: pageLimit(500) }),
+  },
+  exportViolations: {
+    method: "get",
+    path: "/project/:id/violations/export",
+    tag: "Violations",
+    summary: "Download violations",
+    auth: "read",
+    params: projectParams,
+    query: object({
+      ...violationFilters,
+      format: { type: "string", enum: Object.keys(EXPORT_FORMATS) },
+    }),
+  },
+  carHistory: {
+    method: "get",
+    path: "/project/:id/cars/:plate/history",
+    tag: "Violations",
+    summary: "Every sighting of one car",
+    auth: "read",
+    params: object(
+      {
+        id: id("Project id"),
+        plate: { type: "string", minLength: 1, maxLength: MAX_PLATE_LENGTH },
+      },
+      ["id", "plate"],
+    ),
+    query: object({
+      from: timestamp("Earliest sighting"),
+      to: timestamp("Latest sighting"),
+    }),
+  },
+
+  congestionHistory: {
+    method: "get",
+    path: "/project/:id/connections/:cid/congestion",
+    tag: "Congestion",
+    summary: "A connection's congestion over time",
+    description:
+      "Buckets without traffic are left out. Without bucket the finest one that gives at most 2000 points is used.",
+    auth: "read",
+    params: object({ id: id("Project id"), cid: id("Connection id") }, [
+      "id",
+      "cid",
+    ]),
+    query: object({
+      from: timestamp("Start of the range; defaults to 24 hours before to"),
+      to: timestamp("End of the range; defaults to now"),
+      bucket: {
+        type: "string",
+        enum: Object.keys(HISTORY_BUCKETS),
+        description: "Bucket size, aligned to UTC",
+      },
+    }),
+  },
+
+  listIncidents: {
+    method: "get",
+    path: "/project/:id/incidents",
+    tag: "Congestion",
+    summary: "Incidents raised by the detector, newest first",
+    description: `Incident types: ${INCIDENT_TYPES.join(", ")}.`,
+    auth: "read",
+    params: projectParams,
+    query: object({
+      status: {
+        type: "string",
+        enum: ["open", "closed", "all"],
+        description: "Defaults to all",
+      },
+      from: timestamp("Earliest opening time"),
+      to: timestamp("Latest opening time"),
+      limit: pageLimit(500),
+    }),
+  },
+
+  route: {
+    method: "get",
+    path: "/project/:id/route",
+    tag: "Congestion",
+    summary: "Fastest route between two nodes under live congestion",
+    description:
+      "Also returns the route that would be fastest at the speed limits alone, for comparison.",
+    auth: "read",
+    params: projectParams,
+    query: object(
+      {
+        from: {
+          type: "integer",
+          minimum: 0,
+          description: "id_in_project of the start node",
+        },
+        to: {
+          type: "integer",
+          minimum: 0,
+          description: "id_in_project of the destination node",
+        },
+      },
+      ["from", "to"],
+    ),
+  },
+
+  eventStream: {
+    method: "get",
+    path: "/project/:id/events",
+    tag: "Events",
+    summary: "Server-Sent Events stream of project events",
+    auth: "read",
+    params: projectParams,
+    query: object({
+      types: {
+        type: "string",
+        description: "Comma-separated event names; all events when omitted",
+      },
+      "api-key": {
+        type: "string",
+        description: "For EventSource, which cannot send x-api-key",
+      },
+      "last-event-id": {
+        type: "string",
+        description: "Resume after this id, like the Last-Event-ID header",
+      },
+    }),
+  },
+  listWebhooks: {
+    method: "get",
+    path: "/project/:id/webhooks",
+    tag: "Webhooks",
+    summary: "List webhooks",
+    auth: "edit",
+    params: projectParams,
+  },
+  createWebhook: {
+    method: "post",
+    path: "/project/:id/webhooks",
+    tag: "Webhooks",
+    summary: "Subscribe a URL to project events",
+    auth: "edit",
+    params: projectParams,
+    body: object(webhookFields, ["url", "events"]),
+  },
+  updateWebhook: {
+    method: "put",
+    path: "/project/:id/webhooks/:webhookId",
+    tag: "Webhooks",
+    summary: "Change a webhook; fields left out stay as they are",
+    auth: "edit",
+    params: webhookParams,
+    body: object(webhookFields),
+  },
+  deleteWebhook: {
+    method: "delete",
+    path: "/project/:id/webhooks/:webhookId",
+    tag: "Webhooks",
+    summary: "Delete a webhook",
+    auth: "edit",
+    params: webhookParams,
+  },
+  testWebhook: {
+    method: "post",
+    path: "/project/:id/webhooks/:webhookId/test",
+    tag: "Webhooks",
+    summary: "Queue a ping delivery",
+    auth: "edit",
+    params: webhookParams,
+  },
+  listDeliveries: {
+    method: "get",
+    path: "/project/:id/webhooks/:webhookId/deliveries",
+    tag: "Webhooks",
+    summary: "Recent deliveries of a webhook",
+    auth: "edit",
+    params: webhookParams,
+    query: object({
+      status: { type: "string", enum: ["pending", "delivered", "failed"] },
+      limit: pageLimit(500),
+    }),
+  },
+
+  adminLogin: {
+    method: "post",
+    path: "/admin/login",
+    tag: "Admin",
+    summary: "Start an admin session",
+    auth: null,
+    body: object(
+      {
+        username: { type: "string" },
+        password: { type: "string", minLength: 1 },
+      },
+      ["password"],
+    ),
+  },
+  adminLogout: {
+    method: "post",
+    path: "/admin/logout",
+    tag: "Admin",
+    summary: "End the admin session",
+    auth: null,
+  },
+  adminSession: {
+    method: "get",
+    path: "/admin/session",
+    tag: "Admin",
+    summary: "The current admin session",
+    auth: "admin",
+  },
+  adminListProjects: {
+    method: "get",
+    path: "/admin/projects",
+    tag: "Admin",
+    summary: "List projects with their active key counts",
+    auth: "admin",
+  },
+  adminRenameProject: {
+    method: "patch",
+    path: "/admin/projects/:id",
+    tag: "Admin",
+    summary: "Rename a project",
+    auth: "admin",
+    params: projectParams,
+    body: object(
+      {
+        "project-name": {
+          type: "string",
+          minLength: 1,
+          maxLength: MAX_PROJECT_NAME_LENGTH,
+        },
+      },
+      ["project-name"],
+    ),
+  },
+  adminDeleteProject: {
+    method: "delete",
+    path: "/admin/projects/:id",
+    tag: "Admin",
+    summary: "Delete a project and everything in it",
+    auth: "admin",
+    params: projectParams,
+  },
+  adminResetKey: {
+    method: "post",
+    path: "/admin/projects/:id/reset-key",
+    tag: "Admin",
+    summary: "Revoke every key and issue a new one",
+    auth: "admin",
+    params: projectParams,
+  },
+  adminProjectStats: {
+    method: "get",
+    path: "/admin/projects/:id/stats",
+    tag: "Admin",
+    summary: "Project statistics",
+    auth: "admin",
+    params: projectParams,
+  },
+  adminAudit: {
+    method: "get",
+    path: "/admin/audit",
+    tag: "Admin",
+    summary: "Admin audit trail",
+    auth: "admin",
+    query: object({ limit: pageLimit(1000) }),
+  },
+  adminGetRateLimits: {
+    method: "get",
+    path: "/admin/projects/:id/rate-limits",
+    tag: "Admin",
+    summary: "A project's rate limits",
+    auth: "admin",
+    params: projectParams,
+  },
+  adminSetRateLimits: {
+    method: "put",
+    path: "/admin/projects/:id/rate-limits",
+    tag: "Admin",
+    summary: "Replace a project's rate limit overrides",
+    auth: "admin",
+    params: projectParams,
+    body: object(
+      {
+        "rate-limits": object(
+          { report: rateLimit, read: rateLimit, edit: rateLimit },
+          [],
+          { type: ["object", "null"], additionalProperties: false },
+        ),
+      },
+      ["rate-limits"],
+    ),
+  },
+  adminListKeys: {
+    method: "get",
+    path: "/admin/projects/:id/keys",
+    tag: "Admin",
+    summary: "List a project's API keys",
+    auth: "admin",
+    params: projectParams,
+  },
+  adminCreateKey: {
+    method: "post",
+    path: "/admin/projects/:id/keys",
+    tag: "Admin",
+    summary: "Create an API key",
+    auth: "admin",
+    params: projectParams,
+    body: object(
+      {
+        label: { type: "string", maxLength: 100 },
+        scopes: {
+          type: "array",
+          minItems: 1,
+          items: { type: "string", enum: API_KEY_SCOPES },
+        },
+      },
+      ["scopes"],
+    ),
+  },
+  adminRotateKey: {
+    method: "post",
+    path: "/admin/projects/:id/keys/:keyId/rotate",
+    tag: "Admin",
+    summary: "Replace a key with a new one",
+    auth: "admin",
+    params: keyParams,
+  },
+  adminRevokeKey: {
+    method: "delete",
+    path: "/admin/projects/:id/keys/:keyId",
+    tag: "Admin",
+    summary: "Revoke a key",
+    auth: "admin",
+    params: keyParams,
+  },
+};
+
+// --- Socket.IO events ---
+// Payloads of the events clients send; the server answers a bad payload
+// with an `error` event carrying `message` and `errors`.
+const SOCKET_EVENTS = {
+  "join-project": object({ apiKey: { type: "string", minLength: 1 } }, [
+    "apiKey",
+  ]),
+  "create-connection": object(
+    {
+      from_node_id: id("node_id of the start node"),
+      to_node_id: id("node_id of the end node"),
+      distance: { ...distance, type: ["number", "null"] },
+      speed_limit: speedLimit,
+    },
+    ["from_node_id", "to_node_id", "speed_limit"],
+  ),
+  "update-connection": object(
+    {
+      connection_id: id("Connection id"),
+      distance,
+      speed_limit: speedLimit,
+      speed_schedule: speedSchedule,
+      class_limits: classLimits,
+    },
+    ["connection_id", "distance", "speed_limit"],
+  ),
+  "delete-connection": object({ connection_id: id("Connection id") }, [
+    "connection_id",
+  ]),
+};
+
+/** Checks a Socket.IO payload; returns a list of { field, message }. */
+function validateSocketEvent(event, data) {
+  return validateValue(SOCKET_EVENTS[event], data === undefined ? {} : data);
+}
+
+/** Checks one sighting; returns a list of { field, message }. */
+function validateSighting(value) {
+  return validateValue(sighting, value);
+}
+
+// --- OpenAPI ---
+const VALIDATION_ERROR = object({
+  error: { type: "string" },
+  errors: {
+    type: "array",
+    items: object({
+      in: { type: "string", enum: ["path", "query", "body"] },
+      field: { type: "string" },
+      message: { type: "string" },
+    }),
+  },
+});
+
+function toParameters(location, schema) {
+  if (!schema) return [];
+  return Object.entries(schema.properties).map(([name, property]) => {
+    const { description, ...rest } = property;
+    return {
+      name,
+      in: location,
+      required: location === "path" || schema.required.includes(name),
+      ...(description && { description }),
+      schema: rest,
+    };
+  });
+}
+
+function toOperation(route) {
+  const operation = {
+    operationId: route.name,
+    tags: [route.tag],
+    summary: route.summary,
+    ...(route.description && { description: route.description }),
+    parameters: [
+      ...toParameters("path", route.params),
+      ...toParameters("query", route.query),
+    ],
+    responses: { 200: { description: "Success" } },
+  };
+  if (route.body) {
+    operation.requestBody = {
+      required: true,
+      content: { "application/json": { schema: route.body } },
+    };
+  }
+  if (route.params || route.query || route.body) {
+    operation.responses[400] = {
+      description: "Invalid request",
+      content: {
+        "application/json": {
+          schema: { $ref: "#/components/schemas/ValidationError" },
+        },
+      },
+    };
+  }
+  if (route.auth === "admin") {
+    operation.security = [{ adminSession: [] }];
+    operation.responses[401] = { description: "No admin session" };
+  } else if (route.auth) {
+    operation.security = [{ apiKey: [] }];
+    operation.description = [
+      `Needs an API key with the \`${route.auth}\` scope.`,
+      route.description,
+    ]
+      .filter(Boolean)
+      .join(" ");
+    operation.responses[401] = { description: "Missing or invalid API key" };
+    operation.responses[403] = { description: "Key lacks the scope" };
+    operation.responses[429] = { description: "Rate limit exceeded" };
+  }
+  return operation;
+}
+
+/** The OpenAPI 3.1 document for /openapi.json. */
+function buildOpenAPIDocument(version) {
+  const paths = {};
+  for (const [name, route] of Object.entries(ROUTES)) {
+    const path = route.path.replace(/:(\w+)/g, "{$1}");
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = toOperation({ ...route, name });
+  }
+
+  const schemas = { ValidationError: VALIDATION_ERROR };
+  for (const [event, schema] of Object.entries(SOCKET_EVENTS)) {
+    schemas[`socket-${event}`] = {
+      ...schema,
+      description: `Payload of the Socket.IO \`${event}\` event`,
+    };
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "Smart Checkpoints API",
+      version,
+      description:
+        "Socket.IO event payloads are listed under components.schemas as socket-<event>.",
+    },
+    paths,
+    components: {
+      securitySchemes: {
+        apiKey: { type: "apiKey", in: "header", name: "x-api-key" },
+        adminSession: {
+          type: "apiKey",
+          in: "cookie",
+          name: "sc_admin_session",
+        },
+      },
+      schemas,
+    },
+  };
+}
+
+module.exports = {
+  ROUTES,
+  SOCKET_EVENTS,
+  validateSocketEvent,
+  validateSighting,
+  buildOpenAPIDocument,
+};
@@ -2,13 +2,107 @@ const express = require("express");
 const {
   createDatabase,
   initializeDatabase,
+  withTransaction,
+  afterCommit,
   statements,
 } = require("./database.js");
 const {
   createAPIKey,
+  parseScopes,
+  findAPIKey,
   authenticateAPIKey,
-  APIKeyToProjectId,
 } = require("./api-key-manager.js");
+const {
+  toGraphDocument,
+  toGeoJSON,
+  parseGraphDocument,
+} = require("./graph-format.js");
+const { EXPORT_FORMATS } = require("./violation-export.js");
+const { findShortestPath, findRoutes } = require("./graph-routing.js");
+const {
+  checkCredentials,
+  loginRetryAfter,
+  recordFailedLogin,
+  createSession,
+  destroySession,
+  requireAdmin,
+} = require("./admin-auth.js");
+const {
+  parseRateLimits,
+  effectiveRateLimits,
+  DEFAULT_RATE_LIMITS,
+  forgetProjectLimits,
+  forgetProject,
+  getThrottleCounts,
+  getKeyThrottleCounts,
+  takeToken,
+  rateLimit,
+} = require("./rate-limiter.js");
+const {
+  MAX_ATTEMPTS,
+  createWebhookSecret,
+  parseWebhookUrl,
+  parseWebhookEvents,
+  forgetWebhooks,
+  publishWebhookEvent,
+  sendTestDelivery,
+  startWebhookWorker,
+} = require("./webhooks.js");
+const { startMqttBridge } = require("./mqtt-bridge.js");
+const {
+  CONGESTION_WINDOW_MS,
+  loadCongestion,
+  recordCongestionSample,
+  hasCongestion,
+  congestionRatios,
+  congestionChanges,
+  currentCongestion,
+  resendCongestion,
+  forgetCongestion,
+} = require("./congestion.js");
+const {
+  forecastsDue,
+  computeForecasts,
+  resendForecasts,
+  forgetForecasts,
+} = require("./congestion-forecast.js");
+const {
+  DETECT_INTERVAL_MS,
+  loadIncidents,
+  incidentProjects,
+  detectIncidents,
+  forgetIncidents,
+} = require("./incident-detector.js");
+const {
+  recordCongestionHistory,
+  pruneCongestionHistory,
+  chooseHistoryBucket,
+  getCongestionHistory,
+} = require("./congestion-history.js");
+const {
+  parseEventTypes,
+  recordProjectEvent,
+  openEventStream,
+  projectsWithEventStreams,
+  closeEventStreams,
+} = require("./event-stream.js");
+const {
+  describeErrors,
+  invalidRequest,
+  validateRequest,
+} = require("./validation.js");
+const {
+  ROUTES,
+  validateSocketEvent,
+  validateSighting,
+  buildOpenAPIDocument,
+} = require("./request-schemas.js");
+const {
+  parseSchedule,
+  parseVehicleClass,
+  parseClassLimits,
+  limitAt,
+} = require("./speed-schedule.js");
 const os = require("os");
 require("dotenv").config({ quiet: true });
 const path = require("path");
@@ -16,6 +110,7 @@ const http = require("http");
 const { Server } = require("socket.io");
 const WebSocket = require("ws");
 const crypto = require("crypto");
+const { once } = require("events");
 
 const port = process.env.PORT || 3000;
 const app = express();
@@ -55,16 +150,27 @@ wss.on("connection", (ws) => {
 
     if (msg.type === "auth") {
       try {
-        const projectId = await APIKeyToProjectId(msg.apiKey, db);
+        const key = await findAPIKey(msg.apiKey, db);
+        if (!key.scopes.includes("driver")) {
+          ws.send(
+            JSON.stringify({
+              type: "error",
+              message: "API key lacks the driver scope",
+            }),
+          );
+          return;
+        }
+        const projectId = key.project_id;
         ws.isAuthenticated = true;
         ws.projectId = projectId;
+        ws.apiKeyId = key.key_id;
         distanceDrivers[projectId] = ws;
         ws.send(JSON.stringify({ type: "authenticated", projectId }));
         console.log(
           `🔗 Distance driver authenticated for project ${projectId}`,
         );
         // Notify web clients
-        io.to(`project-${projectId}`).emit("distance-driver-status", {
+        publishProjectEvent(projectId, "distance-driver-status", {
           connected: true,
         });
         // Recalculate all edge distances now that a driver is available
@@ -77,7 +183,12 @@ wss.on("connection", (ws) => {
       if (pending) {
         clearTimeout(pending.timeout);
         delete pendingDistanceRequests[msg.requestId];
-        pending.resolve(msg.distance);
+        // A zero or missing distance would make every traversal legal
+        if (typeof msg.distance === "number" && msg.distance > 0) {
+          pending.resolve(msg.distance);
+        } else {
+          pending.reject(new Error("Distance driver sent an invalid distance"));
+        }
       }
     }
   });
@@ -88,7 +199,7 @@ wss.on("connection", (ws) => {
       console.log(
         `🔗 Distance driver disconnected from project ${ws.projectId}`,
       );
-      io.to(`project-${ws.projectId}`).emit("distance-driver-status", {
+      publishProjectEvent(ws.projectId, "distance-driver-status", {
         connected: false,
       });
     }
@@ -124,7 +235,7 @@ async function recalculateAllDistances(projectId) {
           conn.speed_limit,
           db,
         );
-        io.to(`project-${projectId}`).emit("connection-updated", {
+        publishProjectEvent(projectId, "connection-updated", {
           connection_id: conn.connection_id,
           distance,
           speed_limit: conn.speed_limit,
@@ -178,11 +289,74 @@ function requestDistanceFromDriver(projectId, fromIdInProject, toIdInProject) {
   });
 }
 
-const db = createDatabase(path.join(__dirname, "database.db"));
+const db = createDatabase(
+  process.env.DATABASE_PATH || path.join(__dirname, "database.db"),
+);
+
+// Checks the path, query and body against the matched route in
+// request-schemas.js. It goes after the route's guards, so requests that
+// are not authorised or over their rate limit learn nothing about the
+// schema.
+const routeValidators = {};
+for (const route of Object.values(ROUTES)) {
+  routeValidators[`${route.method} ${route.path}`] = validateRequest(route);
+}
+
+function validateRoute(req, res, next) {
+  const method = Object.keys(req.route.methods)[0];
+  const validate = routeValidators[`${method} ${req.route.path}`];
+  if (!validate) return next();
+  validate(req, res, next);
+}
 
-app.use(express.json());
+// Route guards: API key scope (see api-key-manager.js), then the key's
+// rate limit for that route class (see rate-limiter.js), then the schema
+const requireRead = [
+  authenticateAPIKey(db, "read"),
+  rateLimit(db, "read"),
+  validateRoute,
+];
+const requireEdit = [
+  authenticateAPIKey(db, "edit"),
+  rateLimit(db, "edit"),
+  validateRoute,
+];
+const requireReport = [
+  authenticateAPIKey(db, "report"),
+  rateLimit(db, "report"),
+  validateRoute,
+];
+// A batch takes one report token per sighting
+const requireReportBatch = [
+  authenticateAPIKey(db, "report"),
+  rateLimit(db, "report", (req) =>
+    Array.isArray(req.body) ? Math.max(req.body.length, 1) : 1,
+  ),
+  validateRoute,
+];
+
+// Graph imports can carry thousands of nodes, so allow larger bodies
+app.use(express.json({ limit: "10mb" }));
 app.use(express.static(path.join(__dirname, "Public")));
 initializeDatabase(db);
+loadCongestion(db).catch((err) =>
+  console.error("Error loading congestion:", err),
+);
+loadIncidents(db).catch((err) =>
+  console.error("Error loading incidents:", err),
+);
+startWebhookWorker(db);
+startMqttBridge(db, reportCheckpoint);
+
+// --- Project events ---
+// Every project event goes to the project's Socket.IO room, its event
+// streams (see event-stream.js) and its webhooks subscribed to it (see
+// webhooks.js).
+function publishProjectEvent(projectId, event, data) {
+  io.to(`project-${projectId}`).emit(event, data);
+  recordProjectEvent(projectId, event, data);
+  publishWebhookEvent(projectId, event, data, db);
+}
 
 // --- Serve pages ---
 app.get("/project", (req, res) => {
@@ -197,20 +371,26 @@ app.get("/admin", (req, res) => {
   res.sendFile(path.join(__dirname, "Public", "admin.html"));
 });
 
+// --- API description ---
+const openAPIDocument = buildOpenAPIDocument(
+  require("../package.json").version,
+);
+
+app.get("/openapi.json", (req, res) => {
+  res.json(openAPIDocument);
+});
+
 // --- REST Endpoints ---
 
-app.post("/create-project", async (req, res) => {
+app.post("/create-project", validateRoute, async (req, res) => {
   const projectName = req.body["project-name"];
   const APIKey = createAPIKey();
   const projectId = await statements.createProject(projectName, APIKey, db);
   res.send({ project_id: projectId, api_key: APIKey });
 });
 
-app.post("/authenticate", async (req, res) => {
+app.post("/authenticate", validateRoute, async (req, res) => {
   const apiKey = req.body["api-key"];
-  if (!apiKey) {
-    return res.status(400).json({ error: "Missing API key" });
-  }
   try {
     const project = await statements.authenticateProject(apiKey, db);
     if (!project) {
@@ -219,13 +399,14 @@ app.post("/authenticate", async (req, res) => {
     res.json({
       project_id: project.project_id,
       project_name: project.project_name,
+      scopes: project.scopes,
     });
   } catch (err) {
     res.status(500).json({ error: "Server error" });
   }
 });
 
-app.post("/create-node", authenticateAPIKey(db), async (req, res) => {
+app.post("/create-node", requireEdit, async (req, res) => {
   try {
     const projectId = req.projectId;
     const xCoord = req.body["x-coord"];
@@ -235,7 +416,7 @@ app.post("/create-node", authenticateAPIKey(db), async (req, res) => {
     const result = await statements.createNode(projectId, xCoord, yCoord, db);
 
     // Emit to connected clients
-    io.to(`project-${projectId}`).emit("node-added", {
+    publishProjectEvent(projectId, "node-added", {
       node_id: result.node_id,
       id_in_project: result.id_in_project,
       x_coord: xCoord,
@@ -252,38 +433,136 @@ app.post("/create-node", authenticateAPIKey(db), async (req, res) => {
   }
 });
 
-app.post("/create-connection", authenticateAPIKey(db), async (req, res) => {
+app.put("/node/:id", requireEdit, async (req, res) => {
+  const projectId = req.projectId;
+  const nodeId = parseInt(req.params.id);
+  const xCoord = req.body["x-coord"];
+  const yCoord = req.body["y-coord"];
+
+  try {
+    const node = await statements.getNodeByNodeId(nodeId, db);
+    if (!node || node.project_id !== projectId) {
+      return res.status(404).json({ error: "Node not found" });
+    }
+
+    await statements.updateNode(nodeId, xCoord, yCoord, db);
+
+    // Emit to connected clients
+    publishProjectEvent(projectId, "node-updated", {
+      node_id: nodeId,
+      id_in_project: node.id_in_project,
+      x_coord: xCoord,
+      y_coord: yCoord,
+    });
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Error updating node:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete("/node/:id", requireEdit, async (req, res) => {
+  const projectId = req.projectId;
+  const nodeId = parseInt(req.params.id);
+
+  try {
+    const node = await statements.getNodeByNodeId(nodeId, db);
+    if (!node || node.project_id !== projectId) {
+      return res.status(404).json({ error: "Node not found" });
+    }
+
+    const connectionIds = await statements.deleteNode(projectId, nodeId, db);
+
+    // Emit to connected clients
+    publishProjectEvent(projectId, "node-removed", {
+      node_id: nodeId,
+      id_in_project: node.id_in_project,
+      connection_ids: connectionIds,
+    });
+
+    res.json({ success: true, removed_connections: connectionIds });
+  } catch (err) {
+    console.error("Error deleting node:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Checks a new connection against the project's graph: both nodes must
+// belong to the project and differ. A missing distance is asked from the
+// distance driver. `names` gives the payload's field names for from, to
+// and distance. Resolves { distance }, { errors } or { driverError }.
+async function prepareConnection(
+  projectId,
+  fromNodeId,
+  toNodeId,
+  distance,
+  names,
+) {
+  const [fromNode, toNode] = await Promise.all([
+    statements.getNodeByNodeId(fromNodeId, db),
+    statements.getNodeByNodeId(toNodeId, db),
+  ]);
+  const errors = [];
+  if (!fromNode || fromNode.project_id !== projectId) {
+    errors.push({
+      field: names.from,
+      message: "is not a node of this project",
+    });
+  }
+  if (!toNode || toNode.project_id !== projectId) {
+    errors.push({ field: names.to, message: "is not a node of this project" });
+  } else if (fromNodeId === toNodeId) {
+    errors.push({ field: names.to, message: `must differ from ${names.from}` });
+  }
+  if (errors.length > 0) return { errors };
+
+  if (distance !== undefined && distance !== null) return { distance };
+  if (!isDistanceDriverConnected(projectId)) {
+    return {
+      errors: [
+        {
+          field: names.distance,
+          message: "is required while no distance driver is connected",
+        },
+      ],
+    };
+  }
+  try {
+    return {
+      distance: await requestDistanceFromDriver(
+        projectId,
+        fromNode.id_in_project,
+        toNode.id_in_project,
+      ),
+    };
+  } catch (err) {
+    console.error("Distance driver request failed:", err.message);
+    return { driverError: `Distance driver failed: ${err.message}` };
+  }
+}
+
+app.post("/create-connection", requireEdit, async (req, res) => {
   const projectId = req.projectId;
   const fromNodeId = req.body["from-node-id"];
   const toNodeId = req.body["to-node-id"];
-  let distance = req.body["distance"];
   const speedLimit = req.body["speed-limit"];
 
   try {
-    // If no distance provided and distance driver is connected, request it
-    if (
-      (distance === undefined || distance === null) &&
-      isDistanceDriverConnected(projectId)
-    ) {
-      const fromNode = await statements.getNodeByNodeId(fromNodeId, db);
-      const toNode = await statements.getNodeByNodeId(toNodeId, db);
-      if (fromNode && toNode) {
-        try {
-          distance = await requestDistanceFromDriver(
-            projectId,
-            fromNode.id_in_project,
-            toNode.id_in_project,
-          );
-        } catch (err) {
-          console.error("Distance driver request failed:", err.message);
-          distance = 0;
-        }
-      } else {
-        distance = 0;
-      }
+    const { distance, errors, driverError } = await prepareConnection(
+      projectId,
+      fromNodeId,
+      toNodeId,
+      req.body["distance"],
+      { from: "from-node-id", to: "to-node-id", distance: "distance" },
+    );
+    if (errors) {
+      return invalidRequest(
+        res,
+        errors.map((error) => ({ in: "body", ...error })),
+      );
     }
-
-    if (distance === undefined || distance === null) distance = 0;
+    if (driverError) return res.status(502).json({ error: driverError });
 
     const connectionId = await statements.createConnection(
       projectId,
@@ -295,7 +574,7 @@ app.post("/create-connection", authenticateAPIKey(db), async (req, res) => {
     );
 
     // Emit to connected clients
-    io.to(`project-${projectId}`).emit("connection-added", {
+    publishProjectEvent(projectId, "connection-added", {
       connection_id: connectionId,
       from_node_id: fromNodeId,
       to_node_id: toNodeId,
@@ -310,7 +589,7 @@ app.post("/create-connection", authenticateAPIKey(db), async (req, res) => {
   }
 });
 
-app.get("/project/:id/nodes", authenticateAPIKey(db), async (req, res) => {
+app.get("/project/:id/nodes", requireRead, async (req, res) => {
   const projectId = parseInt(req.params.id);
   if (req.projectId !== projectId) {
     return res.status(403).json({ error: "API key does not match project" });
@@ -319,41 +598,182 @@ app.get("/project/:id/nodes", authenticateAPIKey(db), async (req, res) => {
   res.json(nodes);
 });
 
-app.get(
-  "/project/:id/connections",
-  authenticateAPIKey(db),
-  async (req, res) => {
-    const projectId = parseInt(req.params.id);
-    if (req.projectId !== projectId) {
-      return res.status(403).json({ error: "API key does not match project" });
+app.get("/project/:id/connections", requireRead, async (req, res) => {
+  const projectId = parseInt(req.params.id);
+  if (req.projectId !== projectId) {
+    return res.status(403).json({ error: "API key does not match project" });
+  }
+  const connections = await statements.getProjectConnections(projectId, db);
+  res.json(connections);
+});
+
+// --- Graph import / export ---
+app.get("/project/:id/export", requireRead, async (req, res) => {
+  const projectId = parseInt(req.params.id);
+  if (req.projectId !== projectId) {
+    return res.status(403).json({ error: "API key does not match project" });
+  }
+  const format = req.query.format || "json";
+  try {
+    const [project, nodes, connections] = await Promise.all([
+      statements.getProject(projectId, db),
+      statements.getProjectNodes(projectId, db),
+      statements.getProjectConnections(projectId, db),
+    ]);
+    if (format === "geojson") {
+      res.type("application/geo+json");
+      res.send(JSON.stringify(toGeoJSON(project, nodes, connections)));
+    } else {
+      res.json(toGraphDocument(project, nodes, connections));
     }
-    const connections = await statements.getProjectConnections(projectId, db);
-    res.json(connections);
-  },
-);
+  } catch (err) {
+    console.error("Error exporting graph:", err);
+    res.status(500).json({ error: "Failed to export graph" });
+  }
+});
+
+app.post("/project/:id/import", requireEdit, async (req, res) => {
+  const projectId = parseInt(req.params.id);
+  if (req.projectId !== projectId) {
+    return res.status(403).json({ error: "API key does not match project" });
+  }
+  const mode = req.query.mode || "replace";
 
-app.put("/connection/:id", authenticateAPIKey(db), async (req, res) => {
+  let graph;
+  try {
+    const existing =
+      mode === "merge" ? await statements.getProjectNodes(projectId, db) : [];
+    graph = parseGraphDocument(
+      req.body,
+      existing.map((n) => n.id_in_project),
+    );
+  } catch (err) {
+    return invalidRequest(res, [
+      { in: "body", field: "", message: err.message },
+    ]);
+  }
+
+  try {
+    await statements.importGraph(projectId, graph, mode, db);
+    const project = await statements.getProject(projectId, db);
+
+    // One event instead of a node-added/connection-added per row
+    publishProjectEvent(projectId, "graph-reloaded", {
+      mode,
+      node_count: project.node_count,
+      connection_count: project.connection_count,
+    });
+
+    res.json({
+      success: true,
+      mode,
+      imported_nodes: graph.nodes.length,
+      imported_connections: graph.connections.length,
+      node_count: project.node_count,
+      connection_count: project.connection_count,
+    });
+  } catch (err) {
+    console.error("Error importing graph:", err);
+    res.status(500).json({ error: "Failed to import graph" });
+  }
+});
+
+app.put("/connection/:id", requireEdit, async (req, res) => {
   const connectionId = parseInt(req.params.id);
   const distance = req.body["distance"];
   const speedLimit = req.body["speed-limit"];
 
+  // The schedule and class limits are optional; leaving one out keeps
+  // the current value
+  let speedSchedule, classLimits;
+  const errors = [];
+  try {
+    if (req.body["speed-schedule"] !== undefined) {
+      speedSchedule = parseSchedule(req.body["speed-schedule"]);
+    }
+  } catch (err) {
+    errors.push({
+      in: "body",
+      field: "speed-schedule",
+      message: err.message,
+    });
+  }
+  try {
+    if (req.body["class-limits"] !== undefined) {
+      classLimits = parseClassLimits(req.body["class-limits"]);
+    }
+  } catch (err) {
+    errors.push({ in: "body", field: "class-limits", message: err.message });
+  }
+  if (errors.length > 0) return invalidRequest(res, errors);
+
+  const connection = await statements.getConnectionById(connectionId, db);
+  if (!connection || connection.project_id !== req.projectId) {
+    return res.status(404).json({ error: "Connection not found" });
+  }
+
   await statements.updateConnection(connectionId, distance, speedLimit, db);
+  if (speedSchedule) {
+    await statements.updateConnectionSchedule(connectionId, speedSchedule, db);
+  }
+  if (classLimits) {
+    await statements.updateConnectionClassLimits(connectionId, classLimits, db);
+  }
 
   // Emit to connected clients
-  io.to(`project-${req.projectId}`).emit("connection-updated", {
+  publishProjectEvent(req.projectId, "connection-updated", {
     connection_id: connectionId,
     distance,
     speed_limit: speedLimit,
+    ...(speedSchedule && { speed_schedule: speedSchedule }),
+    ...(classLimits && { class_limits: classLimits }),
   });
 
   res.json({ success: true });
 });
 
-app.post("/report-checkpoint", authenticateAPIKey(db), async (req, res) => {
+app.delete("/connection/:id", requireEdit, async (req, res) => {
   const projectId = req.projectId;
-  const carPlate = req.body["car-plate"];
-  const idInProject = req.body["id-in-project"];
-  const timestamp = req.body["timestamp"];
+  const connectionId = parseInt(req.params.id);
+
+  try {
+    const removed = await statements.deleteConnection(
+      projectId,
+      connectionId,
+      db,
+    );
+    if (!removed) {
+      return res.status(404).json({ error: "Connection not found" });
+    }
+
+    // Emit to connected clients
+    publishProjectEvent(projectId, "connection-removed", {
+      connection_id: connectionId,
+    });
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Error deleting connection:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Reports one sighting given a /report-checkpoint body that has passed
+// its schema. Shared with the MQTT bridge; resolves { status, body } with
+// the HTTP status to answer.
+async function reportCheckpoint(projectId, report) {
+  const carPlate = report["car-plate"];
+  const idInProject = report["id-in-project"];
+  const timestamp = report["timestamp"];
+  let vehicleClass;
+  try {
+    vehicleClass = parseVehicleClass(report["vehicle-class"]);
+  } catch (err) {
+    const errors = [
+      { in: "body", field: "vehicle-class", message: err.message },
+    ];
+    return { status: 400, body: { error: describeErrors(errors), errors } };
+  }
 
   const node = await statements.getNodeByIdInProject(
     projectId,
@@ -361,15 +781,22 @@ app.post("/report-checkpoint", authenticateAPIKey(db), async (req, res) => {
     db,
   );
   if (!node) {
-    return res.status(404).json({ error: "Node not found" });
+    return { status: 404, body: { error: "Node not found" } };
   }
-  const nodeId = node.node_id;
 
-  const sightingTime = timestamp ? new Date(timestamp) : new Date();
-  const violationData = await calculateViolation(
+  let sightingTime;
+  try {
+    sightingTime = parseSightingTime(timestamp, new Date());
+  } catch (err) {
+    const errors = [{ in: "body", field: "timestamp", message: err.message }];
+    return { status: 400, body: { error: describeErrors(errors), errors } };
+  }
+  const violationData = await processSighting(
+    projectId,
     carPlate,
-    nodeId,
+    node,
     sightingTime,
+    vehicleClass,
   );
 
   if (violationData.status == true) {
@@ -379,34 +806,161 @@ app.post("/report-checkpoint", authenticateAPIKey(db), async (req, res) => {
     );
 
     // Emit violation to connected clients
-    io.to(`project-${projectId}`).emit("violation-added", {
+    publishProjectEvent(projectId, "violation-added", {
       car_plate: carPlate,
+      vehicle_class: vehicleClass,
       car_speed: violationData.carSpeed,
       timestamp: sightingTime,
     });
   }
-  // Only update the stored sighting when the request is not out-of-order;
-  // otherwise we would overwrite a newer timestamp with an older one.
-  if (!violationData.outOfOrder) {
-    await statements.sightCar(projectId, carPlate, sightingTime, nodeId, db);
-  }
 
-  io.to(`project-${projectId}`).emit("node-triggered", {
+  publishProjectEvent(projectId, "node-triggered", {
     id_in_project: idInProject,
     car_plate: carPlate,
     violation: violationData.status,
   });
 
-  res.send(violationData);
+  return { status: 200, body: violationData };
+}
+
+app.post("/report-checkpoint", requireReport, async (req, res) => {
+  try {
+    const result = await reportCheckpoint(req.projectId, req.body);
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error("Error processing checkpoint:", err);
+    res.status(500).json({ error: "Failed to process sighting" });
+  }
+});
+
+const MAX_BATCH_SIZE = 1000;
+
+app.post("/report-checkpoints", requireReportBatch, async (req, res) => {
+  const projectId = req.projectId;
+  const sightings = req.body;
+
+  if (sightings.length > MAX_BATCH_SIZE) {
+    return res
+      .status(413)
+      .json({ error: `At most ${MAX_BATCH_SIZE} sightings per batch` });
+  }
+
+  // Each sighting is checked on its own so one bad entry does not fail the
+  // batch. Sightings without a timestamp are treated as seen when the batch
+  // arrived.
+  const receivedAt = new Date();
+  const items = sightings.map((sighting, index) => {
+    const errors = validateSighting(sighting);
+    let sightingTime = receivedAt;
+    if (errors.length === 0) {
+      try {
+        sightingTime = parseSightingTime(sighting["timestamp"], receivedAt);
+      } catch (err) {
+        errors.push({ field: "timestamp", message: err.message });
+      }
+    }
+    if (errors.length > 0) return { index, errors, sightingTime };
+    return {
+      index,
+      carPlate: sighting["car-plate"],
+      idInProject: sighting["id-in-project"],
+      vehicleClass: sighting["vehicle-class"],
+      sightingTime,
+    };
+  });
+  // Process in timestamp order so each car's traversals line up; ties keep
+  // the order they were sent in.
+  items.sort((a, b) => a.sightingTime - b.sightingTime || a.index - b.index);
+
+  const results = new Array(sightings.length);
+  const triggers = {}; // id_in_project -> { id_in_project, count, violations }
+  const violations = [];
+
+  try {
+    await withTransaction(db, async () => {
+      for (const item of items) {
+        if (item.errors) {
+          results[item.index] = {
+            error: describeErrors(item.errors),
+            errors: item.errors,
+          };
+          continue;
+        }
+        let vehicleClass;
+        try {
+          vehicleClass = parseVehicleClass(item.vehicleClass);
+        } catch (err) {
+          results[item.index] = { error: err.message };
+          continue;
+        }
+        const node = await statements.getNodeByIdInProject(
+          projectId,
+          item.idInProject,
+          db,
+        );
+        if (!node) {
+          results[item.index] = { error: "Node not found" };
+          continue;
+        }
+
+        const violationData = await processSighting(
+          projectId,
+          item.carPlate,
+          node,
+          item.sightingTime,
+          vehicleClass,
+        );
+        results[item.index] = violationData;
+
+        if (!triggers[item.idInProject]) {
+          triggers[item.idInProject] = {
+            id_in_project: item.idInProject,
+            count: 0,
+            violations: 0,
+          };
+        }
+        triggers[item.idInProject].count++;
+        if (violationData.status == true) {
+          triggers[item.idInProject].violations++;
+          violations.push({
+            car_plate: item.carPlate,
+            vehicle_class: vehicleClass,
+            car_speed: violationData.carSpeed,
+            timestamp: item.sightingTime,
+          });
+        }
+      }
+    });
+  } catch (err) {
+    console.error("Error processing checkpoint batch:", err);
+    return res.status(500).json({ error: "Failed to process batch" });
+  }
+
+  // One emission per event type for the whole batch
+  const triggered = Object.values(triggers);
+  if (triggered.length > 0) {
+    publishProjectEvent(projectId, "nodes-triggered", {
+      triggers: triggered,
+    });
+  }
+  if (violations.length > 0) {
+    publishProjectEvent(projectId, "violations-added", { violations });
+  }
+
+  res.json({
+    processed: results.filter((r) => !r.error).length,
+    violations: violations.length,
+    results,
+  });
 });
 
-app.get("/list-projects", async (req, res) => {
+app.get("/list-projects", validateRoute, async (req, res) => {
   const projects = await statements.listProjects(db);
   res.send(projects);
 });
 
 // --- Thumbnail data (no auth, just geometry) ---
-app.get("/project/:id/thumbnail-data", async (req, res) => {
+app.get("/project/:id/thumbnail-data", validateRoute, async (req, res) => {
   try {
     const projectId = parseInt(req.params.id);
     const data = await statements.getThumbnailData(projectId, db);
@@ -417,103 +971,981 @@ app.get("/project/:id/thumbnail-data", async (req, res) => {
 });
 
 // --- Violations endpoint ---
-app.get("/project/:id/violations", authenticateAPIKey(db), async (req, res) => {
+const DEFAULT_VIOLATIONS_PAGE = 50;
+const MAX_VIOLATIONS_PAGE = 500;
+
+app.get("/project/:id/violations", requireRead, async (req, res) => {
   const projectId = parseInt(req.params.id);
   if (req.projectId !== projectId) {
     return res.status(403).json({ error: "API key does not match project" });
   }
+  let filters;
   try {
-    const violations = await statements.getProjectViolations(projectId, db);
-    res.json(violations);
+    filters = parseViolationFilters(req.query);
   } catch (err) {
-    res.status(500).json({ error: "Failed to get violations" });
+    return invalidRequest(res, [err]);
   }
-});
+  const limit = req.query.limit
+    ? parseInt(req.query.limit)
+    : DEFAULT_VIOLATIONS_PAGE;
+  const pageSize = Math.min(limit, MAX_VIOLATIONS_PAGE);
 
-// --- Admin endpoints ---
-app.post("/admin/auth", (req, res) => {
-  const password = req.body.password;
-  if (password === process.env.ADMIN_PASSWORD) {
-    res.json({ success: true });
-  } else {
-    res.status(401).json({ error: "Invalid password" });
+  try {
+    // Fetch one extra row to know whether another page exists
+    const [rows, total] = await Promise.all([
+      statements.getProjectViolations(
+        projectId,
+        { ...filters, limit: pageSize + 1 },
+        db,
+      ),
+      statements.countProjectViolations(projectId, filters, db),
+    ]);
+    const violations = rows.slice(0, pageSize);
+    const last = violations[violations.length - 1];
+    res.json({
+      violations,
+      total,
+      next_cursor:
+        rows.length > pageSize
+          ? encodeViolationCursor(last.timestamp, last.violation_id)
+          : null,
+    });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to get violations" });
   }
 });
 
-// --- Distance Driver Status ---
-app.get(
-  "/project/:id/distance-driver-status",
-  authenticateAPIKey(db),
-  (req, res) => {
-    const projectId = parseInt(req.params.id);
-    res.json({ connected: isDistanceDriverConnected(projectId) });
-  },
-);
+const EXPORT_CHUNK_SIZE = 500;
+
+// Resolves once `res` can take more data, or once the client has gone and
+// it never will
+async function waitForDrain(res) {
+  if (res.destroyed) return;
+  const done = new AbortController();
+  try {
+    await Promise.race([
+      once(res, "drain", { signal: done.signal }),
+      once(res, "close", { signal: done.signal }),
+    ]);
+  } finally {
+    done.abort();
+  }
+}
 
-app.get("/admin/projects", async (req, res) => {
-  // Simple password check via header
-  const password = req.headers["x-admin-password"];
-  if (password !== process.env.ADMIN_PASSWORD) {
-    return res.status(401).json({ error: "Unauthorized" });
+app.get("/project/:id/violations/export", requireRead, async (req, res) => {
+  const projectId = parseInt(req.params.id);
+  if (req.projectId !== projectId) {
+    return res.status(403).json({ error: "API key does not match project" });
   }
+  const format = EXPORT_FORMATS[req.query.format || "csv"];
+  let filters;
   try {
-    const projects = await statements.listProjectsWithKeys(db);
-    res.json(projects);
+    filters = parseViolationFilters(req.query);
   } catch (err) {
-    res.status(500).json({ error: "Failed to list projects" });
+    return invalidRequest(res, [err]);
   }
-});
 
-// --- Socket.IO ---
-io.on("connection", (socket) => {
-  console.log(`🔌 Socket connected: ${socket.id}`);
+  let aborted = false;
+  res.on("close", () => (aborted = true));
 
-  socket.on("join-project", async (data) => {
-    const { apiKey } = data;
-    try {
-      const projectId = await APIKeyToProjectId(apiKey, db);
-      const room = `project-${projectId}`;
-      socket.join(room);
-      socket.projectId = projectId;
-      socket.apiKey = apiKey;
+  res.setHeader("Content-Type", format.contentType);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="violations-project-${projectId}.${format.extension}"`,
+  );
+
+  try {
+    // Walk the result set in keyset-paginated chunks so the export never
+    // has to fit in memory, waiting for the socket to drain between writes.
+    res.write(format.header());
+    let cursor = filters.cursor || null;
+    while (!aborted) {
+      const rows = await statements.getProjectViolations(
+        projectId,
+        { ...filters, cursor, limit: EXPORT_CHUNK_SIZE },
+        db,
+      );
+      const chunk = rows.map(format.row).join("");
+      if (chunk && !res.write(chunk)) await waitForDrain(res);
+      if (rows.length < EXPORT_CHUNK_SIZE) break;
+      const last = rows[rows.length - 1];
+      cursor = { timestamp: last.timestamp, id: last.violation_id };
+    }
+    res.end();
+  } catch (err) {
+    console.error("Error exporting violations:", err);
+    // Headers are already sent; cut the download short so it is not
+    // mistaken for a complete file.
+    res.destroy(err);
+  }
+});
+
+// --- Car history ---
+app.get("/project/:id/cars/:plate/history", requireRead, async (req, res) => {
+  const projectId = parseInt(req.params.id);
+  if (req.projectId !== projectId) {
+    return res.status(403).json({ error: "API key does not match project" });
+  }
+  // from and to are checked by the schema
+  const from = req.query.from && parseTimeParam(req.query.from, "from");
+  const to = req.query.to && parseTimeParam(req.query.to, "to");
+  try {
+    const sightings = await statements.getCarHistory(
+      projectId,
+      req.params.plate,
+      from,
+      to,
+      db,
+    );
+    res.json({ car_plate: req.params.plate, sightings });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to get car history" });
+  }
+});
+
+// --- Congestion history ---
+const DEFAULT_HISTORY_RANGE_MS = 24 * 60 * 60 * 1000;
+
+app.get(
+  "/project/:id/connections/:cid/congestion",
+  requireRead,
+  async (req, res) => {
+    const projectId = parseInt(req.params.id);
+    if (req.projectId !== projectId) {
+      return res.status(403).json({ error: "API key does not match project" });
+    }
+    // from and to are checked by the schema
+    const to = req.query.to
+      ? new Date(parseTimeParam(req.query.to, "to"))
+      : new Date();
+    const from = req.query.from
+      ? new Date(parseTimeParam(req.query.from, "from"))
+      : new Date(to - DEFAULT_HISTORY_RANGE_MS);
+    if (from >= to) {
+      return invalidRequest(res, [
+        { in: "query", field: "from", message: "must be before to" },
+      ]);
+    }
+    let choice;
+    try {
+      choice = chooseHistoryBucket(req.query.bucket, from, to);
+    } catch (err) {
+      return invalidRequest(res, [err]);
+    }
+    try {
+      const connectionId = parseInt(req.params.cid);
+      const connection = await statements.getConnectionById(connectionId, db);
+      if (!connection || connection.project_id !== projectId) {
+        return res.status(404).json({ error: "Connection not found" });
+      }
+      const points = await getCongestionHistory(
+        connectionId,
+        from,
+        to,
+        choice,
+        db,
+      );
+      res.json({
+        connection_id: connectionId,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        bucket: choice.bucket,
+        points,
+      });
+    } catch (err) {
+      console.error("Error getting congestion history:", err);
+      res.status(500).json({ error: "Failed to get congestion history" });
+    }
+  },
+);
+
+// --- Incidents ---
+const DEFAULT_INCIDENTS_PAGE = 100;
+const MAX_INCIDENTS_PAGE = 500;
+
+app.get("/project/:id/incidents", requireRead, async (req, res) => {
+  const projectId = parseInt(req.params.id);
+  if (req.projectId !== projectId) {
+    return res.status(403).json({ error: "API key does not match project" });
+  }
+  // status, limit, from and to are checked by the schema
+  const filters = {
+    status: req.query.status || "all",
+    from: req.query.from ? parseTimeParam(req.query.from, "from") : null,
+    to: req.query.to ? parseTimeParam(req.query.to, "to") : null,
+    limit: Math.min(
+      req.query.limit ? parseInt(req.query.limit) : DEFAULT_INCIDENTS_PAGE,
+      MAX_INCIDENTS_PAGE,
+    ),
+  };
+  try {
+    const incidents = await statements.listIncidents(projectId, filters, db);
+    res.json({ incidents });
+  } catch (err) {
+    console.error("Error listing incidents:", err);
+    res.status(500).json({ error: "Failed to list incidents" });
+  }
+});
+
+// --- Routing ---
+// Times are in seconds, rounded to a tenth
+const roundTime = (seconds) => Math.round(seconds * 10) / 10;
+
+// Describes a route from findRoutes with node ids as id_in_project
+function describeRoute(route, idInProject, ratios, departure) {
+  let elapsed = 0;
+  const edges = route.connections.map((conn, i) => {
+    elapsed += route.travelTimes[i];
+    return {
+      connection_id: conn.connection_id,
+      from: idInProject[conn.from_node_id],
+      to: idInProject[conn.to_node_id],
+      distance: conn.distance,
+      congestion: ratios[conn.connection_id] ?? null,
+      free_flow_time: roundTime(route.freeFlowTimes[i]),
+      travel_time: roundTime(route.travelTimes[i]),
+      eta: new Date(departure.getTime() + elapsed * 1000).toISOString(),
+    };
+  });
+  const sum = (list) => list.reduce((total, value) => total + value, 0);
+  return {
+    path: route.nodeIds.map((nodeId) => idInProject[nodeId]),
+    distance: sum(route.connections.map((conn) => conn.distance)),
+    free_flow_time: roundTime(sum(route.freeFlowTimes)),
+    travel_time: roundTime(elapsed),
+    eta: new Date(departure.getTime() + elapsed * 1000).toISOString(),
+    edges,
+  };
+}
+
+app.get("/project/:id/route", requireRead, async (req, res) => {
+  const projectId = parseInt(req.params.id);
+  if (req.projectId !== projectId) {
+    return res.status(403).json({ error: "API key does not match project" });
+  }
+  // from and to are checked by the schema
+  const from = parseInt(req.query.from);
+  const to = parseInt(req.query.to);
+  if (from === to) {
+    return invalidRequest(res, [
+      { in: "query", field: "to", message: "must differ from from" },
+    ]);
+  }
+  try {
+    const nodes = await statements.getProjectNodes(projectId, db);
+    const idInProject = {};
+    const nodeId = {};
+    for (const node of nodes) {
+      idInProject[node.node_id] = node.id_in_project;
+      nodeId[node.id_in_project] = node.node_id;
+    }
+    if (nodeId[from] === undefined || nodeId[to] === undefined) {
+      return res.status(404).json({ error: "Node not found" });
+    }
+
+    const departure = new Date();
+    const connections = await statements.getProjectConnections(projectId, db);
+    const ratios = congestionRatios(projectId, connections);
+    const routes = findRoutes(
+      connections,
+      nodeId[from],
+      nodeId[to],
+      ratios,
+      departure,
+    );
+    if (!routes.fastest) {
+      return res.status(404).json({ error: "No route between these nodes" });
+    }
+    res.json({
+      from,
+      to,
+      departure: departure.toISOString(),
+      fastest: describeRoute(routes.fastest, idInProject, ratios, departure),
+      free_flow: describeRoute(routes.freeFlow, idInProject, ratios, departure),
+    });
+  } catch (err) {
+    console.error("Error finding route:", err);
+    res.status(500).json({ error: "Failed to find route" });
+  }
+});
+
+// --- Event stream ---
+// EventSource cannot send headers, so browsers may pass the key as
+// ?api-key=... instead of x-api-key.
+function apiKeyFromQuery(req, res, next) {
+  if (!req.headers["x-api-key"] && typeof req.query["api-key"] === "string") {
+    req.headers["x-api-key"] = req.query["api-key"];
+  }
+  next();
+}
+
+app.get("/project/:id/events", apiKeyFromQuery, requireRead, (req, res) => {
+  const projectId = parseInt(req.params.id);
+  if (req.projectId !== projectId) {
+    return res.status(403).json({ error: "API key does not match project" });
+  }
+  let types;
+  try {
+    types = parseEventTypes(req.query.types);
+  } catch (err) {
+    return invalidRequest(res, [
+      { in: "query", field: "types", message: err.message },
+    ]);
+  }
+  // Browsers resend the last id as a header; other clients may use the
+  // query string
+  const lastEventId =
+    req.headers["last-event-id"] || req.query["last-event-id"] || null;
+  const opened = openEventStream(
+    req,
+    res,
+    projectId,
+    req.apiKeyId,
+    types,
+    lastEventId,
+  );
+  if (!opened) {
+    return res.status(503).json({ error: "Too many open event streams" });
+  }
+  // The new stream has not seen any congestion values yet
+  resendCongestion(projectId);
+  resendForecasts(projectId);
+});
+
+// --- Webhooks ---
+const MAX_WEBHOOKS_PER_PROJECT = 20;
+const DEFAULT_DELIVERIES_PAGE = 50;
+const MAX_DELIVERIES_PAGE = 500;
+
+// Picks the fields of a webhook create/update body that its schema has
+// checked; fields that are left out stay as they are. Throws when the url
+// is not an http(s) URL.
+function parseWebhookFields(body) {
+  const fields = {};
+  if (body["url"] !== undefined) fields.url = parseWebhookUrl(body["url"]);
+  if (body["events"] !== undefined) {
+    fields.events = parseWebhookEvents(body["events"]);
+  }
+  for (const name of ["description", "active", "secret"]) {
+    if (body[name] !== undefined) fields[name] = body[name];
+  }
+  return fields;
+}
+
+app.get("/project/:id/webhooks", requireEdit, async (req, res) => {
+  const projectId = parseInt(req.params.id);
+  if (req.projectId !== projectId) {
+    return res.status(403).json({ error: "API key does not match project" });
+  }
+  try {
+    res.json(await statements.listWebhooks(projectId, db));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to list webhooks" });
+  }
+});
+
+// Responds with the webhook including its secret, which is not shown again
+app.post("/project/:id/webhooks", requireEdit, async (req, res) => {
+  const projectId = parseInt(req.params.id);
+  if (req.projectId !== projectId) {
+    return res.status(403).json({ error: "API key does not match project" });
+  }
+  let fields;
+  try {
+    fields = parseWebhookFields(req.body);
+  } catch (err) {
+    return invalidRequest(res, [
+      { in: "body", field: "url", message: err.message },
+    ]);
+  }
+  fields.secret = fields.secret || createWebhookSecret();
+  try {
+    const existing = await statements.listWebhooks(projectId, db);
+    if (existing.length >= MAX_WEBHOOKS_PER_PROJECT) {
+      return res.status(409).json({
+        error: `At most ${MAX_WEBHOOKS_PER_PROJECT} webhooks per project`,
+      });
+    }
+    const webhookId = await statements.createWebhook(projectId, fields, db);
+    forgetWebhooks(projectId);
+    const webhook = await statements.getWebhook(projectId, webhookId, db);
+    res.status(201).json({ ...webhook, secret: fields.secret });
+  } catch (err) {
+    console.error("Error creating webhook:", err);
+    res.status(500).json({ error: "Failed to create webhook" });
+  }
+});
+
+app.put("/project/:id/webhooks/:webhookId", requireEdit, async (req, res) => {
+  const projectId = parseInt(req.params.id);
+  if (req.projectId !== projectId) {
+    return res.status(403).json({ error: "API key does not match project" });
+  }
+  const webhookId = parseInt(req.params.webhookId);
+  let fields;
+  try {
+    fields = parseWebhookFields(req.body);
+  } catch (err) {
+    return invalidRequest(res, [
+      { in: "body", field: "url", message: err.message },
+    ]);
+  }
+  try {
+    const changes = await statements.updateWebhook(
+      projectId,
+      webhookId,
+      fields,
+      db,
+    );
+    const webhook = changes
+      ? await statements.getWebhook(projectId, webhookId, db)
+      : null;
+    if (!webhook) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+    forgetWebhooks(projectId);
+    res.json(fields.secret ? { ...webhook, secret: fields.secret } : webhook);
+  } catch (err) {
+    console.error("Error updating webhook:", err);
+    res.status(500).json({ error: "Failed to update webhook" });
+  }
+});
+
+app.delete(
+  "/project/:id/webhooks/:webhookId",
+  requireEdit,
+  async (req, res) => {
+    if (req.projectId !== parseInt(req.params.id)) {
+      return res.status(403).json({ error: "API key does not match project" });
+    }
+    const projectId = req.projectId;
+    try {
+      const changes = await statements.deleteWebhook(
+        projectId,
+        parseInt(req.params.webhookId),
+        db,
+      );
+      if (changes === 0) {
+        return res.status(404).json({ error: "Webhook not found" });
+      }
+      forgetWebhooks(projectId);
+      res.json({ success: true });
+    } catch (err) {
+      res.status(500).json({ error: "Failed to delete webhook" });
+    }
+  },
+);
+
+// Queues a `ping` delivery, whatever events the webhook subscribes to
+app.post(
+  "/project/:id/webhooks/:webhookId/test",
+  requireEdit,
+  async (req, res) => {
+    if (req.projectId !== parseInt(req.params.id)) {
+      return res.status(403).json({ error: "API key does not match project" });
+    }
+    const projectId = req.projectId;
+    const webhookId = parseInt(req.params.webhookId);
+    try {
+      const webhook = await statements.getWebhook(projectId, webhookId, db);
+      if (!webhook) {
+        return res.status(404).json({ error: "Webhook not found" });
+      }
+      const deliveryId = await sendTestDelivery(projectId, webhookId, db);
+      res.status(202).json({ delivery_id: deliveryId });
+    } catch (err) {
+      res.status(500).json({ error: "Failed to queue test delivery" });
+    }
+  },
+);
+
+app.get(
+  "/project/:id/webhooks/:webhookId/deliveries",
+  requireEdit,
+  async (req, res) => {
+    if (req.projectId !== parseInt(req.params.id)) {
+      return res.status(403).json({ error: "API key does not match project" });
+    }
+    const projectId = req.projectId;
+    const webhookId = parseInt(req.params.webhookId);
+    const status = req.query.status || null;
+    const limit = req.query.limit
+      ? parseInt(req.query.limit)
+      : DEFAULT_DELIVERIES_PAGE;
+    try {
+      const webhook = await statements.getWebhook(projectId, webhookId, db);
+      if (!webhook) {
+        return res.status(404).json({ error: "Webhook not found" });
+      }
+      const deliveries = await statements.listWebhookDeliveries(
+        projectId,
+        webhookId,
+        { status, limit: Math.min(limit, MAX_DELIVERIES_PAGE) },
+        db,
+      );
+      res.json({
+        webhook_id: webhookId,
+        max_attempts: MAX_ATTEMPTS,
+        deliveries,
+      });
+    } catch (err) {
+      res.status(500).json({ error: "Failed to get deliveries" });
+    }
+  },
+);
+
+// --- Admin endpoints ---
+// Records an admin action in the audit trail. Failing to write the entry
+// is logged but does not undo the action.
+async function auditAdminAction(req, action, projectId, details = null) {
+  const actor = req.adminUser ? `${req.adminUser} (${req.ip})` : req.ip;
+  try {
+    await statements.recordAdminAction(action, projectId, actor, details, db);
+  } catch (err) {
+    console.error("Error writing admin audit entry:", err);
+  }
+}
+
+app.post("/admin/login", validateRoute, async (req, res) => {
+  const retryAfter = loginRetryAfter(req.ip);
+  if (retryAfter > 0) {
+    res.set("Retry-After", String(retryAfter));
+    return res
+      .status(429)
+      .json({ error: "Too many failed logins, try again later" });
+  }
+
+  const { username, password } = req.body;
+  const user = checkCredentials(username, password);
+  if (!user) {
+    recordFailedLogin(req.ip);
+    await auditAdminAction(req, "login-failed", null, {
+      username: typeof username === "string" ? username : null,
+    });
+    return res.status(401).json({ error: "Invalid credentials" });
+  }
+
+  const session = createSession(req, res, user);
+  req.adminUser = user;
+  await auditAdminAction(req, "login", null);
+  res.json({
+    user: session.user,
+    expires_at: new Date(session.expires).toISOString(),
+  });
+});
+
+app.post("/admin/logout", validateRoute, async (req, res) => {
+  const session = destroySession(req, res);
+  if (session) {
+    req.adminUser = session.user;
+    await auditAdminAction(req, "logout", null);
+  }
+  res.json({ success: true });
+});
+
+// Everything below under /admin needs a session
+app.use("/admin", requireAdmin);
+
+app.get("/admin/session", validateRoute, (req, res) => {
+  const session = req.adminSession;
+  res.json({
+    user: session.user,
+    expires_at: new Date(session.expires).toISOString(),
+  });
+});
+
+// --- Distance Driver Status ---
+app.get("/project/:id/distance-driver-status", requireRead, (req, res) => {
+  const projectId = parseInt(req.params.id);
+  res.json({ connected: isDistanceDriverConnected(projectId) });
+});
+
+app.get("/admin/projects", validateRoute, async (req, res) => {
+  try {
+    const projects = await statements.listProjectsWithKeys(db);
+    res.json(projects);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to list projects" });
+  }
+});
+
+// --- Admin: project management ---
+const DEFAULT_AUDIT_PAGE = 100;
+const MAX_AUDIT_PAGE = 1000;
+
+app.patch("/admin/projects/:id", validateRoute, async (req, res) => {
+  const projectId = parseInt(req.params.id);
+  const name = req.body["project-name"].trim();
+  if (!name) {
+    return invalidRequest(res, [
+      { in: "body", field: "project-name", message: "must not be blank" },
+    ]);
+  }
+  try {
+    const project = await statements.getProject(projectId, db);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    await statements.renameProject(projectId, name, db);
+    await auditAdminAction(req, "project-renamed", projectId, {
+      from: project.project_name,
+      to: name,
+    });
+    publishProjectEvent(projectId, "project-renamed", {
+      project_name: name,
+    });
+    res.json({ success: true, project_name: name });
+  } catch (err) {
+    console.error("Error renaming project:", err);
+    res.status(500).json({ error: "Failed to rename project" });
+  }
+});
+
+app.delete("/admin/projects/:id", validateRoute, async (req, res) => {
+  const projectId = parseInt(req.params.id);
+  try {
+    const project = await statements.getProject(projectId, db);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    const stats = await statements.getProjectStats(projectId, db);
+    await statements.deleteProject(projectId, db);
+    await auditAdminAction(req, "project-deleted", projectId, {
+      project_name: project.project_name,
+      nodes: stats.nodes,
+      connections: stats.connections,
+      violations: stats.violations,
+    });
+    disconnectProject(projectId);
+    forgetProject(projectId);
+    forgetWebhooks(projectId);
+    forgetCongestion(projectId);
+    forgetForecasts(projectId);
+    forgetIncidents(projectId);
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Error deleting project:", err);
+    res.status(500).json({ error: "Failed to delete project" });
+  }
+});
+
+// Revokes every key of the project and returns a single fresh one
+app.post("/admin/projects/:id/reset-key", validateRoute, async (req, res) => {
+  const projectId = parseInt(req.params.id);
+  try {
+    const project = await statements.getProject(projectId, db);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    const apiKey = createAPIKey();
+    const keyId = await statements.resetProjectKeys(projectId, apiKey, db);
+    await auditAdminAction(req, "keys-reset", projectId, { key_id: keyId });
+    disconnectProject(projectId);
+    const key = await statements.getProjectKey(projectId, keyId, db);
+    res.json({ ...key, api_key: apiKey });
+  } catch (err) {
+    console.error("Error resetting project keys:", err);
+    res.status(500).json({ error: "Failed to reset key" });
+  }
+});
+
+app.get("/admin/projects/:id/stats", validateRoute, async (req, res) => {
+  const projectId = parseInt(req.params.id);
+  try {
+    const project = await statements.getProject(projectId, db);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    const stats = await statements.getProjectStats(projectId, db);
+    res.json({
+      project_id: projectId,
+      project_name: project.project_name,
+      ...stats,
+      distance_driver_connected: isDistanceDriverConnected(projectId),
+      throttled: getThrottleCounts(projectId),
+    });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to get project statistics" });
+  }
+});
+
+app.get("/admin/audit", validateRoute, async (req, res) => {
+  const limit = req.query.limit
+    ? parseInt(req.query.limit)
+    : DEFAULT_AUDIT_PAGE;
+  try {
+    const entries = await statements.listAdminActions(
+      Math.min(limit, MAX_AUDIT_PAGE),
+      db,
+    );
+    res.json(entries);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to get audit trail" });
+  }
+});
+
+// --- Admin: rate limits ---
+function rateLimitsResponse(projectId, overrides) {
+  return {
+    project_id: projectId,
+    defaults: DEFAULT_RATE_LIMITS,
+    overrides,
+    limits: effectiveRateLimits(overrides),
+    throttled: getThrottleCounts(projectId),
+  };
+}
+
+app.get("/admin/projects/:id/rate-limits", validateRoute, async (req, res) => {
+  const projectId = parseInt(req.params.id);
+  try {
+    const project = await statements.getProject(projectId, db);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    const overrides = await statements.getProjectRateLimits(projectId, db);
+    res.json(rateLimitsResponse(projectId, overrides));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to get rate limits" });
+  }
+});
+
+// Replaces the project's overrides; classes left out use the defaults
+app.put("/admin/projects/:id/rate-limits", validateRoute, async (req, res) => {
+  const projectId = parseInt(req.params.id);
+  let overrides;
+  try {
+    overrides = parseRateLimits(req.body["rate-limits"]);
+  } catch (err) {
+    return invalidRequest(res, [
+      { in: "body", field: "rate-limits", message: err.message },
+    ]);
+  }
+  try {
+    const changes = await statements.updateProjectRateLimits(
+      projectId,
+      overrides,
+      db,
+    );
+    if (changes === 0) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    forgetProjectLimits(projectId);
+    await auditAdminAction(req, "rate-limits-changed", projectId, {
+      rate_limits: overrides,
+    });
+    res.json(rateLimitsResponse(projectId, overrides));
+  } catch (err) {
+    console.error("Error updating rate limits:", err);
+    res.status(500).json({ error: "Failed to update rate limits" });
+  }
+});
+
+// --- Admin: API keys ---
+app.get("/admin/projects/:id/keys", validateRoute, async (req, res) => {
+  const projectId = parseInt(req.params.id);
+  try {
+    const keys = await statements.listProjectKeys(projectId, db);
+    const throttled = getKeyThrottleCounts(projectId);
+    res.json(
+      keys.map((key) => ({
+        ...key,
+        throttled: throttled[key.key_id] || { report: 0, read: 0, edit: 0 },
+      })),
+    );
+  } catch (err) {
+    res.status(500).json({ error: "Failed to list keys" });
+  }
+});
+
+app.post("/admin/projects/:id/keys", validateRoute, async (req, res) => {
+  const projectId = parseInt(req.params.id);
+  const label = req.body["label"] || "";
+  const scopes = parseScopes(req.body["scopes"]);
+  try {
+    const project = await statements.getProject(projectId, db);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    const apiKey = createAPIKey();
+    const keyId = await statements.createProjectKey(
+      projectId,
+      apiKey,
+      label,
+      scopes,
+      db,
+    );
+    await auditAdminAction(req, "key-created", projectId, {
+      key_id: keyId,
+      label,
+      scopes,
+    });
+    // The only time the full key is shown; just its hash is stored
+    const key = await statements.getProjectKey(projectId, keyId, db);
+    res.status(201).json({ ...key, api_key: apiKey });
+  } catch (err) {
+    console.error("Error creating key:", err);
+    res.status(500).json({ error: "Failed to create key" });
+  }
+});
+
+app.post(
+  "/admin/projects/:id/keys/:keyId/rotate",
+  validateRoute,
+  async (req, res) => {
+    const projectId = parseInt(req.params.id);
+    const keyId = parseInt(req.params.keyId);
+    try {
+      const apiKey = createAPIKey();
+      const newKeyId = await statements.rotateProjectKey(
+        projectId,
+        keyId,
+        apiKey,
+        db,
+      );
+      if (newKeyId === null) {
+        return res.status(404).json({ error: "Key not found or revoked" });
+      }
+      await auditAdminAction(req, "key-rotated", projectId, {
+        key_id: keyId,
+        new_key_id: newKeyId,
+      });
+      disconnectAPIKey(projectId, keyId);
+      const key = await statements.getProjectKey(projectId, newKeyId, db);
+      res.json({ ...key, api_key: apiKey });
+    } catch (err) {
+      console.error("Error rotating key:", err);
+      res.status(500).json({ error: "Failed to rotate key" });
+    }
+  },
+);
+
+app.delete(
+  "/admin/projects/:id/keys/:keyId",
+  validateRoute,
+  async (req, res) => {
+    const projectId = parseInt(req.params.id);
+    const keyId = parseInt(req.params.keyId);
+    try {
+      const revoked = await statements.revokeProjectKey(projectId, keyId, db);
+      if (!revoked) {
+        return res.status(404).json({ error: "Key not found or revoked" });
+      }
+      await auditAdminAction(req, "key-revoked", projectId, { key_id: keyId });
+      disconnectAPIKey(projectId, keyId);
+      res.json({ success: true });
+    } catch (err) {
+      console.error("Error revoking key:", err);
+      res.status(500).json({ error: "Failed to revoke key" });
+    }
+  },
+);
+
+// Malformed JSON bodies get the same 400 shape as schema errors
+app.use((err, req, res, next) => {
+  if (err.type !== "entity.parse.failed") return next(err);
+  invalidRequest(res, [
+    { in: "body", field: "", message: `is not valid JSON: ${err.message}` },
+  ]);
+});
+
+// --- Socket.IO ---
+io.on("connection", (socket) => {
+  console.log(`🔌 Socket connected: ${socket.id}`);
+
+  // Bad payloads are answered with an `error` event listing each field
+  function reportInvalid(event, errors) {
+    socket.emit("error", { message: describeErrors(errors), event, errors });
+  }
+
+  // Checks an event's payload against its schema (see request-schemas.js)
+  function validPayload(event, data) {
+    const errors = validateSocketEvent(event, data);
+    if (errors.length === 0) return true;
+    reportInvalid(event, errors);
+    return false;
+  }
+
+  socket.on("join-project", async (data) => {
+    if (!validPayload("join-project", data)) return;
+    const { apiKey } = data;
+    let key;
+    try {
+      key = await findAPIKey(apiKey, db);
+    } catch (err) {
+      socket.emit("error", { message: "Invalid API key" });
+      return;
+    }
+    if (!key.scopes.includes("read")) {
+      socket.emit("error", { message: "API key lacks the read scope" });
+      return;
+    }
+    try {
+      const projectId = key.project_id;
+      const room = `project-${projectId}`;
+      socket.join(room);
+      socket.projectId = projectId;
+      socket.apiKey = apiKey;
+      socket.apiKeyId = key.key_id;
+      socket.apiKeyScopes = key.scopes;
       console.log(`🏠 Socket ${socket.id} joined room ${room}`);
-      socket.emit("joined", { project_id: projectId });
+      socket.emit("joined", { project_id: projectId, scopes: key.scopes });
       // Send current distance driver status
       socket.emit("distance-driver-status", {
         connected: isDistanceDriverConnected(projectId),
       });
+      // Congestion updates carry changes only; make the next one complete
+      resendCongestion(projectId);
+      resendForecasts(projectId);
     } catch (err) {
-      socket.emit("error", { message: "Invalid API key" });
+      socket.emit("error", { message: "Failed to join project" });
     }
   });
 
+  // Graph edits need a key with the edit scope and share the key's edit
+  // rate limit with the REST endpoints
+  async function canEdit() {
+    if (!socket.projectId) return false;
+    if (!socket.apiKeyScopes.includes("edit")) {
+      socket.emit("error", { message: "API key lacks the edit scope" });
+      return false;
+    }
+    let limit;
+    try {
+      limit = await takeToken(socket.projectId, socket.apiKeyId, "edit", db);
+    } catch (err) {
+      console.error("Error checking rate limit:", err);
+      return true;
+    }
+    if (!limit.allowed) {
+      socket.emit("error", {
+        message: "Rate limit exceeded for edit requests",
+        retry_after: limit.retryAfter,
+      });
+      return false;
+    }
+    return true;
+  }
+
   socket.on("create-connection", async (data) => {
-    if (!socket.projectId) return;
-    let { from_node_id, to_node_id, distance, speed_limit } = data;
+    if (!(await canEdit())) return;
+    if (!validPayload("create-connection", data)) return;
+    const { from_node_id, to_node_id, speed_limit } = data;
     try {
-      // If no distance and distance driver is connected, request it
-      if (
-        (distance === undefined || distance === null) &&
-        isDistanceDriverConnected(socket.projectId)
-      ) {
-        const fromNode = await statements.getNodeByNodeId(from_node_id, db);
-        const toNode = await statements.getNodeByNodeId(to_node_id, db);
-        if (fromNode && toNode) {
-          try {
-            distance = await requestDistanceFromDriver(
-              socket.projectId,
-              fromNode.id_in_project,
-              toNode.id_in_project,
-            );
-          } catch (err) {
-            console.error("Distance driver request failed:", err.message);
-            distance = 0;
-          }
-        } else {
-          distance = 0;
-        }
+      const { distance, errors, driverError } = await prepareConnection(
+        socket.projectId,
+        from_node_id,
+        to_node_id,
+        data.distance,
+        { from: "from_node_id", to: "to_node_id", distance: "distance" },
+      );
+      if (errors) {
+        reportInvalid("create-connection", errors);
+        return;
+      }
+      if (driverError) {
+        socket.emit("error", { message: driverError });
+        return;
       }
-      if (distance === undefined || distance === null) distance = 0;
 
       const connectionId = await statements.createConnection(
         socket.projectId,
@@ -523,7 +1955,7 @@ io.on("connection", (socket) => {
         speed_limit,
         db,
       );
-      io.to(`project-${socket.projectId}`).emit("connection-added", {
+      publishProjectEvent(socket.projectId, "connection-added", {
         connection_id: connectionId,
         from_node_id,
         to_node_id,
@@ -536,25 +1968,89 @@ io.on("connection", (socket) => {
   });
 
   socket.on("update-connection", async (data) => {
-    if (!socket.projectId) return;
+    if (!(await canEdit())) return;
+    if (!validPayload("update-connection", data)) return;
     const { connection_id, distance, speed_limit } = data;
+    let speedSchedule, classLimits;
+    const errors = [];
     try {
+      if (data.speed_schedule !== undefined) {
+        speedSchedule = parseSchedule(data.speed_schedule);
+      }
+    } catch (err) {
+      errors.push({ field: "speed_schedule", message: err.message });
+    }
+    try {
+      if (data.class_limits !== undefined) {
+        classLimits = parseClassLimits(data.class_limits);
+      }
+    } catch (err) {
+      errors.push({ field: "class_limits", message: err.message });
+    }
+    if (errors.length > 0) {
+      reportInvalid("update-connection", errors);
+      return;
+    }
+    try {
+      const connection = await statements.getConnectionById(connection_id, db);
+      if (!connection || connection.project_id !== socket.projectId) {
+        socket.emit("error", { message: "Connection not found" });
+        return;
+      }
       await statements.updateConnection(
         connection_id,
         distance,
         speed_limit,
         db,
       );
-      io.to(`project-${socket.projectId}`).emit("connection-updated", {
+      if (speedSchedule) {
+        await statements.updateConnectionSchedule(
+          connection_id,
+          speedSchedule,
+          db,
+        );
+      }
+      if (classLimits) {
+        await statements.updateConnectionClassLimits(
+          connection_id,
+          classLimits,
+          db,
+        );
+      }
+      publishProjectEvent(socket.projectId, "connection-updated", {
         connection_id,
         distance,
         speed_limit,
+        ...(speedSchedule && { speed_schedule: speedSchedule }),
+        ...(classLimits && { class_limits: classLimits }),
       });
     } catch (err) {
       socket.emit("error", { message: "Failed to update connection" });
     }
   });
 
+  socket.on("delete-connection", async (data) => {
+    if (!(await canEdit())) return;
+    if (!validPayload("delete-connection", data)) return;
+    const { connection_id } = data;
+    try {
+      const removed = await statements.deleteConnection(
+        socket.projectId,
+        connection_id,
+        db,
+      );
+      if (!removed) {
+        socket.emit("error", { message: "Connection not found" });
+        return;
+      }
+      publishProjectEvent(socket.projectId, "connection-removed", {
+        connection_id,
+      });
+    } catch (err) {
+      socket.emit("error", { message: "Failed to delete connection" });
+    }
+  });
+
   socket.on("disconnect", () => {
     console.log(`🔌 Socket disconnected: ${socket.id}`);
   });
@@ -567,46 +2063,78 @@ console.log(
 );
 
 // --- Congestion Broadcast Loop ---
-const CONGESTION_WINDOW_MS = 5 * 60 * 1000; // 5 minutes
+// Congestion is kept in memory (see congestion.js); each update carries
+// only the values that changed since the previous one. Forecasts (see
+// congestion-forecast.js) follow once a minute with every value, as their
+// own event so congestion-update keeps its connection -> ratio shape.
 const CONGESTION_INTERVAL_MS = 3000; // every 3 seconds
+const TRAVERSAL_PRUNE_INTERVAL_MS = 60 * 1000;
+const HISTORY_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
 
 setInterval(async () => {
   try {
-    // Prune old traversals
     await statements.deleteOldTraversals(CONGESTION_WINDOW_MS, db);
+  } catch (err) {
+    console.error("Error pruning traversals:", err);
+  }
+}, TRAVERSAL_PRUNE_INTERVAL_MS);
 
-    // Find active project rooms
+setInterval(async () => {
+  try {
+    await pruneCongestionHistory(db);
+  } catch (err) {
+    console.error("Error pruning congestion history:", err);
+  }
+}, HISTORY_PRUNE_INTERVAL_MS);
+
+// --- Incident Detection Loop ---
+setInterval(async () => {
+  try {
+    for (const projectId of await incidentProjects(db)) {
+      const { opened, closed } = await detectIncidents(projectId, db);
+      for (const incident of opened) {
+        publishProjectEvent(projectId, "incident-opened", incident);
+      }
+      for (const incident of closed) {
+        publishProjectEvent(projectId, "incident-closed", incident);
+      }
+    }
+  } catch (err) {
+    console.error("Incident detection error:", err);
+  }
+}, DETECT_INTERVAL_MS);
+
+setInterval(async () => {
+  try {
+    // Find active project rooms, plus projects with an event stream or a
+    // congestion webhook
     const rooms = io.sockets.adapter.rooms;
-    const projectRooms = new Set();
+    const projectRooms = new Set([
+      ...projectsWithEventStreams(),
+      ...(await statements.listProjectsWithWebhook("congestion-update", db)),
+    ]);
     for (const [roomName] of rooms) {
       const match = roomName.match(/^project-(\d+)$/);
       if (match) projectRooms.add(parseInt(match[1]));
     }
 
     for (const projectId of projectRooms) {
+      if (!hasCongestion(projectId)) continue;
       const connections = await statements.getProjectConnections(projectId, db);
-      const congestionData = {};
-
-      for (const conn of connections) {
-        const traversals = await statements.getRecentTraversals(
-          conn.connection_id,
-          CONGESTION_WINDOW_MS,
+      const changes = congestionChanges(projectId, connections);
+      if (Object.keys(changes).length > 0) {
+        publishProjectEvent(projectId, "congestion-update", changes);
+      }
+      if (forecastsDue(projectId)) {
+        const forecasts = await computeForecasts(
+          projectId,
+          currentCongestion(projectId),
           db,
         );
-        if (traversals.length === 0) continue;
-
-        const avgDeltaT =
-          traversals.reduce((sum, t) => sum + t.delta_t, 0) / traversals.length;
-        // T_legal in seconds: distance(m) / speed_limit(km/h) * 3.6
-        const tLegal = (conn.distance / conn.speed_limit) * 3.6;
-        if (tLegal > 0) {
-          congestionData[conn.connection_id] = avgDeltaT / tLegal;
+        if (Object.keys(forecasts).length > 0) {
+          publishProjectEvent(projectId, "congestion-forecast", forecasts);
         }
       }
-
-      if (Object.keys(congestionData).length > 0) {
-        io.to(`project-${projectId}`).emit("congestion-update", congestionData);
-      }
     }
   } catch (err) {
     console.error("Congestion broadcast error:", err);
@@ -628,14 +2156,159 @@ function getWifiAddress() {
   return "Adapter not found or no IPv4 assigned";
 }
 
+// Drops live Socket.IO clients, event streams and the distance driver that
+// authenticated
+// with a key that has just been revoked or rotated.
+function disconnectAPIKey(projectId, keyId) {
+  for (const s of io.sockets.sockets.values()) {
+    if (s.projectId === projectId && s.apiKeyId === keyId) {
+      s.emit("error", { message: "API key revoked" });
+      s.disconnect(true);
+    }
+  }
+  const driver = distanceDrivers[projectId];
+  if (driver && driver.apiKeyId === keyId) {
+    driver.close(4001, "API key revoked");
+  }
+  closeEventStreams(projectId, keyId);
+}
+
+// Drops every live client of a project after it was deleted or its keys
+// were reset.
+function disconnectProject(projectId) {
+  for (const s of io.sockets.sockets.values()) {
+    if (s.projectId === projectId) {
+      s.emit("error", { message: "API key revoked" });
+      s.disconnect(true);
+    }
+  }
+  const driver = distanceDrivers[projectId];
+  if (driver) driver.close(4001, "API key revoked");
+  closeEventStreams(projectId);
+}
+
+function parseTimeParam(value, name) {
+  // Accepts ISO strings or epoch milliseconds
+  const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+  if (isNaN(date)) throw new Error(`${name} must be a date`);
+  return date.toISOString();
+}
+
+// Sighting timestamps take the same forms as time query parameters;
+// `fallback` is used when the report has none
+function parseSightingTime(value, fallback) {
+  if (value === undefined || value === null || value === "") return fallback;
+  return new Date(parseTimeParam(value, "timestamp"));
+}
+
+function encodeViolationCursor(timestamp, violationId) {
+  return Buffer.from(`${timestamp}|${violationId}`).toString("base64url");
+}
+
+function decodeViolationCursor(cursor) {
+  const [timestamp, id] = Buffer.from(cursor, "base64url")
+    .toString()
+    .split("|");
+  if (!timestamp || !/^\d+$/.test(id)) throw new Error("Invalid cursor");
+  return { timestamp, id: parseInt(id) };
+}
+
+// Reads the violation filters shared by the violations list and export
+// endpoints from a query string that has passed its schema. Throws
+// { in, field, message } when the vehicle class or cursor is malformed.
+function parseViolationFilters(query) {
+  const filters = {};
+  if (query.from) filters.from = parseTimeParam(query.from, "from");
+  if (query.to) filters.to = parseTimeParam(query.to, "to");
+  if (query.plate) filters.plate = query.plate;
+  if (query["plate-prefix"]) filters.platePrefix = query["plate-prefix"];
+  if (query["min-speed"] !== undefined) {
+    filters.minSpeed = Number(query["min-speed"]);
+  }
+  if (query.order !== undefined) filters.order = query.order;
+  const field = (name, parse) => {
+    try {
+      return parse(query[name]);
+    } catch (err) {
+      throw { in: "query", field: name, message: err.message };
+    }
+  };
+  if (query["vehicle-class"]) {
+    filters.vehicleClass = field("vehicle-class", parseVehicleClass);
+  }
+  if (query.cursor) filters.cursor = field("cursor", decodeViolationCursor);
+  return filters;
+}
+
 function calculateTimeDifferenceInSeconds(timestamp1, timestamp2) {
   const timeDifference = timestamp2 - timestamp1;
   const timeDifferenceInSeconds = timeDifference / 1000;
   return timeDifferenceInSeconds;
 }
 
-async function calculateViolation(carPlate, nodeId, sightingTime) {
-  const carData = await statements.fetchCarData(carPlate, db);
+// Runs one sighting through violation detection and stores it as the car's
+// latest position. Shared by /report-checkpoint and /report-checkpoints.
+async function processSighting(
+  projectId,
+  carPlate,
+  node,
+  sightingTime,
+  vehicleClass = null,
+) {
+  const nodeId = node.node_id;
+  const violationData = await calculateViolation(
+    projectId,
+    carPlate,
+    nodeId,
+    sightingTime,
+    vehicleClass,
+  );
+  // Keep every sighting, out-of-order ones included, for the car's history
+  await statements.recordSighting(
+    projectId,
+    carPlate,
+    node,
+    sightingTime,
+    violationData,
+    db,
+  );
+  // Only update the stored sighting when the request is not out-of-order;
+  // otherwise we would overwrite a newer timestamp with an older one.
+  if (!violationData.outOfOrder) {
+    await statements.sightCar(projectId, carPlate, sightingTime, nodeId, db);
+  }
+  return violationData;
+}
+
+// Finds how a car got from one node to another. A direct connection is
+// used when there is one; otherwise the shortest path (by distance) through
+// the project's graph is assumed, so a missed camera in between still
+// allows average-speed control over the whole section.
+async function findSection(projectId, fromNodeId, toNodeId) {
+  const direct = await statements.getConnectionByNodes(
+    projectId,
+    fromNodeId,
+    toNodeId,
+    db,
+  );
+  if (direct) return { connections: [direct], nodeIds: [fromNodeId, toNodeId] };
+
+  const connections = await statements.getProjectConnections(projectId, db);
+  return findShortestPath(connections, fromNodeId, toNodeId);
+}
+
+// Everything here is scoped to `projectId`: the car's previous sighting,
+// the section it travelled and the violation it may produce. `vehicleClass`
+// (null when the camera did not report one) selects the class-specific
+// limits of each connection on the section.
+async function calculateViolation(
+  projectId,
+  carPlate,
+  nodeId,
+  sightingTime,
+  vehicleClass = null,
+) {
+  const carData = await statements.fetchCarData(projectId, carPlate, db);
   if (!carData)
     return {
       status: false,
@@ -644,23 +2317,53 @@ async function calculateViolation(carPlate, nodeId, sightingTime) {
       timestamp: sightingTime,
       nodeId,
       carPlate,
+      vehicleClass,
     };
 
-  const connection = await statements.getConnectionByNodes(
+  const section = await findSection(
+    projectId,
     carData.last_sighting_node_id,
     nodeId,
-    db,
   );
 
-  if (!connection)
+  // No route from the previous checkpoint, so there is no speed to give
+  if (!section)
     return {
       status: false,
-      carSpeed: 10,
+      carSpeed: null,
       legalLimit: 0,
       timestamp: sightingTime,
       nodeId,
       carPlate,
+      vehicleClass,
+    };
+
+  const isDirect = section.connections.length === 1;
+  const connection = section.connections[0];
+  // Multi-hop results say which route was assumed
+  let pathData = { connectionId: connection.connection_id };
+  if (!isDirect) {
+    const nodes = await statements.getProjectNodes(projectId, db);
+    const idInProject = {};
+    for (const n of nodes) idInProject[n.node_id] = n.id_in_project;
+    pathData = {
+      assumedPath: section.nodeIds.map((id) => idInProject[id]),
+      pathConnectionIds: section.connections.map((c) => c.connection_id),
     };
+  }
+
+  // Section distance and the legal minimum time to cover it, using the
+  // limits in force for this vehicle at the time of the sighting; for a
+  // single connection this reduces to its own distance and limit.
+  const distance = section.connections.reduce((sum, c) => sum + c.distance, 0);
+  const maximumTransversalTime = section.connections.reduce(
+    (sum, c) =>
+      sum + (c.distance / limitAt(c, sightingTime, vehicleClass)) * (18 / 5),
+    0,
+  );
+  const legalLimit = isDirect
+    ? limitAt(connection, sightingTime, vehicleClass)
+    : (distance / maximumTransversalTime) * (18 / 5);
 
   const carTransversalTime = calculateTimeDifferenceInSeconds(
     carData.last_sighting_time,
@@ -674,47 +2377,71 @@ async function calculateViolation(carPlate, nodeId, sightingTime) {
     return {
       status: false,
       carSpeed: 0,
-      legalLimit: connection.speed_limit,
+      legalLimit,
       timestamp: sightingTime,
       nodeId,
       carPlate,
+      vehicleClass,
+      ...pathData,
       outOfOrder: true,
     };
   }
 
-  // Record this traversal for congestion tracking
-  await statements.recordTraversal(
-    connection.connection_id,
-    carTransversalTime,
-    sightingTime,
-    db,
-  );
+  // Record this traversal for congestion tracking. A multi-hop time cannot
+  // be split between its connections, so only direct traversals count.
+  if (isDirect) {
+    await statements.recordTraversal(
+      connection.connection_id,
+      carTransversalTime,
+      sightingTime,
+      db,
+    );
+    // Batches run in a transaction; live congestion only counts what was
+    // stored
+    afterCommit(db, () =>
+      recordCongestionSample(
+        projectId,
+        connection.connection_id,
+        carTransversalTime,
+        sightingTime,
+      ),
+    );
+    await recordCongestionHistory(
+      connection.connection_id,
+      carTransversalTime,
+      (connection.distance / limitAt(connection, sightingTime)) * 3.6,
+      sightingTime,
+      db,
+    );
+  }
 
-  const maximumTransversalTime =
-    (connection.distance / connection.speed_limit) * (18 / 5);
-  const carSpeed = (connection.distance / carTransversalTime) * (18 / 5);
+  const carSpeed = (distance / carTransversalTime) * (18 / 5);
   const status = carTransversalTime < maximumTransversalTime;
 
   if (status) {
-    console.log(carData.project_id, carPlate, carSpeed, sightingTime);
+    console.log(projectId, carPlate, carSpeed, sightingTime);
     await statements.createViolation(
-      carData.project_id,
+      projectId,
       carPlate,
       carSpeed,
       sightingTime,
       db,
+      pathData.assumedPath,
+      vehicleClass,
     );
   }
-  console.log(carSpeed, connection.speed_limit);
-  console.log(carTransversalTime, maximumTransversalTime, connection.distance);
+  console.log(carSpeed, legalLimit);
+  console.log(carTransversalTime, maximumTransversalTime, distance);
 
-  violationData = {
+  const violationData = {
     status,
     carSpeed: carSpeed,
-    legalLimit: connection.speed_limit,
+    legalLimit,
     timestamp: sightingTime,
     nodeId,
     carPlate,
+    vehicleClass,
+    ...pathData,
   };
 
   return violationData;
@@ -0,0 +1,150 @@
+// Time-of-day / day-of-week speed limits. A connection's `speed_schedule`
+// is a JSON list of rules:
+//
+//   { "days": 62, "start": "07:00", "end": "09:00", "speed_limit": 30 }
+//
+// `days` is a bit mask with bit 0 = Sunday ... bit 6 = Saturday (62 is
+// Monday to Friday). A window whose end is before its start runs past
+// midnight into the next day. The first matching rule wins; when none
+// matches the connection's own `speed_limit` is the default. Times are in
+// the server's local time zone (set TZ to change it).
+//
+// A connection's `class_limits` maps vehicle classes to their own limit,
+// e.g. { "truck": 60, "bus": 70 }. A class limit only ever lowers the limit
+// in force, so a scheduled 30 km/h window still applies to trucks.
+
+const MAX_RULES = 20;
+const ALL_DAYS = 0x7f;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$|^24:00$/;
+const MAX_CLASSES = 20;
+const VEHICLE_CLASS_PATTERN = /^[a-z][a-z0-9_-]{0,31}$/;
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Validates and normalizes a schedule received from a client. Returns the
+ * cleaned rule list (an empty list clears the schedule) or throws.
+ */
+function parseSchedule(rules) {
+  if (rules === null) return [];
+  if (!Array.isArray(rules)) throw new Error("speed schedule must be a list");
+  if (rules.length > MAX_RULES) {
+    throw new Error(`speed schedule allows at most ${MAX_RULES} rules`);
+  }
+
+  return rules.map((rule, i) => {
+    if (!rule || typeof rule !== "object") {
+      throw new Error(`rule ${i}: must be an object`);
+    }
+    const days = rule.days === undefined ? ALL_DAYS : rule.days;
+    if (!Number.isInteger(days) || days < 1 || days > ALL_DAYS) {
+      throw new Error(`rule ${i}: days must be a mask between 1 and 127`);
+    }
+    if (!TIME_PATTERN.test(rule.start) || !TIME_PATTERN.test(rule.end)) {
+      throw new Error(`rule ${i}: start and end must be HH:MM`);
+    }
+    if (rule.start === rule.end) {
+      throw new Error(`rule ${i}: start and end must differ`);
+    }
+    const limit = rule.speed_limit;
+    if (typeof limit !== "number" || !Number.isFinite(limit) || limit <= 0) {
+      throw new Error(`rule ${i}: speed_limit must be a positive number`);
+    }
+    return { days, start: rule.start, end: rule.end, speed_limit: limit };
+  });
+}
+
+// Schedules come straight from the TEXT column in some queries
+function readSchedule(connection) {
+  const schedule = connection.speed_schedule;
+  if (!schedule) return [];
+  return typeof schedule === "string" ? JSON.parse(schedule) : schedule;
+}
+
+function ruleApplies(rule, date) {
+  const day = date.getDay();
+  const minute = date.getHours() * 60 + date.getMinutes();
+  const start = toMinutes(rule.start);
+  const end = toMinutes(rule.end);
+  const onDay = (d) => (rule.days & (1 << d)) !== 0;
+
+  if (start < end) return onDay(day) && minute >= start && minute < end;
+  // Overnight window: the part after midnight belongs to the previous day
+  if (minute >= start) return onDay(day);
+  return minute < end && onDay((day + 6) % 7);
+}
+
+/**
+ * Normalizes a vehicle class reported by a camera. Returns null when no
+ * class was given; throws when it is not a short lowercase identifier.
+ */
+function parseVehicleClass(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const vehicleClass = String(value).trim().toLowerCase();
+  if (!VEHICLE_CLASS_PATTERN.test(vehicleClass)) {
+    throw new Error(
+      "vehicle class must be letters, digits, '-' or '_' (max 32)",
+    );
+  }
+  return vehicleClass;
+}
+
+/**
+ * Validates per-class limit overrides received from a client. Returns the
+ * cleaned map (an empty map clears the overrides) or throws.
+ */
+function parseClassLimits(limits) {
+  if (limits === null) return {};
+  if (typeof limits !== "object" || Array.isArray(limits)) {
+    throw new Error("class limits must be an object");
+  }
+  const entries = Object.entries(limits);
+  if (entries.length > MAX_CLASSES) {
+    throw new Error(`class limits allow at most ${MAX_CLASSES} classes`);
+  }
+
+  const cleaned = {};
+  for (const [name, limit] of entries) {
+    const vehicleClass = parseVehicleClass(name);
+    if (!vehicleClass) throw new Error("class limits need a class name");
+    if (typeof limit !== "number" || !Number.isFinite(limit) || limit <= 0) {
+      throw new Error(`${vehicleClass}: limit must be a positive number`);
+    }
+    cleaned[vehicleClass] = limit;
+  }
+  return cleaned;
+}
+
+function readClassLimits(connection) {
+  const limits = connection.class_limits;
+  if (!limits) return {};
+  return typeof limits === "string" ? JSON.parse(limits) : limits;
+}
+
+/**
+ * The speed limit in force on `connection` at `date` for a vehicle of
+ * `vehicleClass` (null for the general limit).
+ */
+function limitAt(connection, date = new Date(), vehicleClass = null) {
+  let limit = connection.speed_limit;
+  for (const rule of readSchedule(connection)) {
+    if (ruleApplies(rule, date)) {
+      limit = rule.speed_limit;
+      break;
+    }
+  }
+  const classLimit = vehicleClass && readClassLimits(connection)[vehicleClass];
+  return classLimit ? Math.min(limit, classLimit) : limit;
+}
+
+module.exports = {
+  parseSchedule,
+  readSchedule,
+  parseVehicleClass,
+  parseClassLimits,
+  readClassLimits,
+  limitAt,
+};
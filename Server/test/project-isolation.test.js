@@ -0,0 +1,307 @@
+// Integration test: two projects that see the same plates must not share
+// car positions, traversals or violations, and reports must be read the
+// same way whichever route they arrive on. Runs the real server on a
+// throwaway database and reports through /report-checkpoint and
+// /report-checkpoints.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { spawn } = require("child_process");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const sqlite = require("sqlite3");
+
+const SERVER = path.join(__dirname, "..", "server.js");
+const PLATES = ["ISO-1111", "ISO-2222"];
+
+let dir;
+let server;
+let baseUrl;
+let database;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on("error", reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForServer() {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    try {
+      await fetch(`${baseUrl}/list-projects`);
+      return;
+    } catch (err) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+  }
+  throw new Error("Server did not start");
+}
+
+async function request(method, url, apiKey, body) {
+  const res = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: {
+      "content-type": "application/json",
+      ...(apiKey ? { "x-api-key": apiKey } : {}),
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+function query(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    database.all(sql, params, (err, rows) =>
+      err ? reject(err) : resolve(rows),
+    );
+  });
+}
+
+// A project with nodes 0 -> 1 joined by a 1000 m connection limited to
+// 100 km/h
+async function createProject(name) {
+  const { body: project } = await request("POST", "/create-project", null, {
+    "project-name": name,
+  });
+  const key = project.api_key;
+  const nodeIds = [];
+  for (const x of [0, 100]) {
+    const { body } = await request("POST", "/create-node", key, {
+      "x-coord": x,
+      "y-coord": 0,
+    });
+    nodeIds.push(body.node_id);
+  }
+  const { body: connection } = await request(
+    "POST",
+    "/create-connection",
+    key,
+    {
+      "from-node-id": nodeIds[0],
+      "to-node-id": nodeIds[1],
+      distance: 1000,
+      "speed-limit": 100,
+    },
+  );
+  return {
+    id: project.project_id,
+    key,
+    connectionId: connection.connection_id,
+  };
+}
+
+function sighting(plate, idInProject, time) {
+  return {
+    "car-plate": plate,
+    "id-in-project": idInProject,
+    timestamp: new Date(time).toISOString(),
+  };
+}
+
+// What each project should hold after its cars crossed its connection
+async function assertIsolated(projects, seconds, crossedAt) {
+  const [first, second] = projects;
+
+  // car_data: one row per plate and project, each at its own last sighting
+  const cars = await query(
+    `SELECT project_id, car_plate, last_sighting_time FROM car_data
+     WHERE project_id IN (?, ?) ORDER BY project_id, car_plate`,
+    [first.id, second.id],
+  );
+  assert.deepStrictEqual(
+    cars.map((car) => [car.project_id, car.car_plate, car.last_sighting_time]),
+    projects.flatMap((project, i) =>
+      PLATES.map((plate) => [project.id, plate, crossedAt[i]]),
+    ),
+  );
+
+  // traversals: each connection only has its own project's crossing times
+  for (const [i, project] of projects.entries()) {
+    const traversals = await query(
+      "SELECT delta_t FROM traversals WHERE connection_id = ?",
+      [project.connectionId],
+    );
+    assert.deepStrictEqual(
+      traversals.map((t) => t.delta_t),
+      PLATES.map(() => seconds[i]),
+    );
+  }
+
+  // violations: only the first project's cars were too fast
+  const { body: fast } = await request(
+    "GET",
+    `/project/${first.id}/violations`,
+    first.key,
+  );
+  assert.deepStrictEqual(
+    fast.violations.map((v) => [v.car_plate, v.car_speed]).sort(),
+    PLATES.map((plate) => [plate, 360]),
+  );
+  const { body: slow } = await request(
+    "GET",
+    `/project/${second.id}/violations`,
+    second.key,
+  );
+  assert.deepStrictEqual(slow.violations, []);
+
+  // and one project's key cannot read the other's violations
+  const { status } = await request(
+    "GET",
+    `/project/${first.id}/violations`,
+    second.key,
+  );
+  assert.strictEqual(status, 403);
+}
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "project-isolation-"));
+  const databasePath = path.join(dir, "database.db");
+  const port = await freePort();
+  baseUrl = `http://localhost:${port}`;
+  server = spawn(process.execPath, [SERVER], {
+    env: { ...process.env, PORT: String(port), DATABASE_PATH: databasePath },
+    stdio: "ignore",
+  });
+  await waitForServer();
+  database = new sqlite.Database(databasePath, sqlite.OPEN_READONLY);
+});
+
+after(async () => {
+  if (database) await new Promise((resolve) => database.close(resolve));
+  if (server) {
+    server.kill();
+    await new Promise((resolve) => server.once("exit", resolve));
+  }
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("single reports of the same plates stay in their project", async () => {
+  const projects = [
+    await createProject("Single A"),
+    await createProject("Single B"),
+  ];
+  const start = Date.now() - 5 * 60 * 1000;
+  // Interleaved, so a shared car position would pair one project's
+  // sighting at node 0 with the other's at node 1
+  const reports = [];
+  for (const plate of PLATES) {
+    reports.push([projects[0], sighting(plate, 0, start)]);
+    reports.push([projects[1], sighting(plate, 0, start + 2000)]);
+    reports.push([projects[0], sighting(plate, 1, start + 10000)]);
+    reports.push([projects[1], sighting(plate, 1, start + 100000)]);
+  }
+  for (const [project, body] of reports) {
+    const { status } = await request(
+      "POST",
+      "/report-checkpoint",
+      project.key,
+      body,
+    );
+    assert.strictEqual(status, 200);
+  }
+
+  await assertIsolated(projects, [10, 98], [start + 10000, start + 100000]);
+});
+
+test("batches of the same plates stay in their project", async () => {
+  const projects = [
+    await createProject("Batch A"),
+    await createProject("Batch B"),
+  ];
+  const start = Date.now() - 5 * 60 * 1000;
+  const batches = [
+    PLATES.flatMap((plate) => [
+      sighting(plate, 0, start),
+      sighting(plate, 1, start + 10000),
+    ]),
+    PLATES.flatMap((plate) => [
+      sighting(plate, 0, start + 2000),
+      sighting(plate, 1, start + 100000),
+    ]),
+  ];
+  // Sent together, so one batch's transaction is open while the other
+  // arrives
+  const results = await Promise.all(
+    projects.map((project, i) =>
+      request("POST", "/report-checkpoints", project.key, batches[i]),
+    ),
+  );
+  for (const { status, body } of results) {
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.processed, PLATES.length * 2);
+  }
+
+  await assertIsolated(projects, [10, 98], [start + 10000, start + 100000]);
+});
+
+test("deleting another project's connection leaves its data alone", async () => {
+  const [owner, other] = [
+    await createProject("Delete A"),
+    await createProject("Delete B"),
+  ];
+  const start = Date.now() - 5 * 60 * 1000;
+  await request("POST", "/report-checkpoints", owner.key, [
+    sighting(PLATES[0], 0, start),
+    sighting(PLATES[0], 1, start + 10000),
+  ]);
+  const countRows = async () => {
+    const [{ count }] = await query(
+      "SELECT COUNT(*) AS count FROM traversals WHERE connection_id = ?",
+      [owner.connectionId],
+    );
+    return count;
+  };
+  assert.strictEqual(await countRows(), 1);
+
+  const { status } = await request(
+    "DELETE",
+    `/connection/${owner.connectionId}`,
+    other.key,
+  );
+  assert.strictEqual(status, 404);
+  assert.strictEqual(await countRows(), 1);
+});
+
+test("sighting timestamps given as epoch millisecond strings", async () => {
+  const project = await createProject("Epoch strings");
+  const start = Date.now() - 5 * 60 * 1000;
+  const { status, body } = await request(
+    "POST",
+    "/report-checkpoint",
+    project.key,
+    { "car-plate": PLATES[0], "id-in-project": 0, timestamp: String(start) },
+  );
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.status, false);
+
+  const { status: batchStatus, body: batch } = await request(
+    "POST",
+    "/report-checkpoints",
+    project.key,
+    [
+      { "car-plate": PLATES[0], "id-in-project": 1, timestamp: "not a date" },
+      {
+        "car-plate": PLATES[0],
+        "id-in-project": 1,
+        timestamp: String(start + 10000),
+      },
+    ],
+  );
+  assert.strictEqual(batchStatus, 200);
+  assert.strictEqual(batch.processed, 1);
+  assert.ok(batch.results[0].error);
+  assert.strictEqual(batch.results[1].carSpeed, 360);
+
+  const [car] = await query(
+    "SELECT last_sighting_time FROM car_data WHERE project_id = ?",
+    [project.id],
+  );
+  assert.strictEqual(car.last_sighting_time, start + 10000);
+});
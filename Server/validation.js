@@ -0,0 +1,229 @@
+// Request validation against JSON Schema.
+//
+// Schemas are plain JSON Schema objects (the subset OpenAPI 3.1 uses), so
+// the same definitions check requests and document them in /openapi.json
+// (see request-schemas.js). Supported keywords: type (a name or a list,
+// "null" included), enum, minimum, maximum, exclusiveMinimum, minLength,
+// maxLength, format "date-time", properties, required,
+// additionalProperties, items, minItems and maxItems.
+//
+// A rejected request is answered with
+//
+//   400 { "error": "x-coord: is required; speed-limit: must be greater than 0",
+//         "errors": [ { "in": "body", "field": "x-coord",
+//                       "message": "is required" }, ... ] }
+
+const TYPE_NAMES = {
+  string: "a string",
+  number: "a number",
+  integer: "an integer",
+  boolean: "true or false",
+  object: "an object",
+  array: "a list",
+  null: "null",
+};
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? "integer" : "number";
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+// Accepts ISO 8601 strings or epoch milliseconds, like parseTimeParam
+function isTimestamp(value) {
+  const date =
+    typeof value === "number" || /^\d+$/.test(value)
+      ? new Date(Number(value))
+      : new Date(value);
+  return !isNaN(date);
+}
+
+function joinField(parent, key) {
+  if (typeof key === "number") return `${parent}[${key}]`;
+  return parent ? `${parent}.${key}` : key;
+}
+
+/**
+ * Checks `value` against `schema`. Returns a list of { field, message }
+ * with `field` the dotted path below `field`; empty when the value is
+ * valid.
+ */
+function validateValue(schema, value, field = "") {
+  const errors = [];
+  const fail = (message) => errors.push({ field, message });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesType(value, type))) {
+      fail(`must be ${types.map((type) => TYPE_NAMES[type]).join(" or ")}`);
+      return errors;
+    }
+  }
+  if (value === null) return errors;
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.join(", ")}`);
+    return errors;
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be at least ${schema.minimum}`);
+    }
+    if (
+      schema.exclusiveMinimum !== undefined &&
+      value <= schema.exclusiveMinimum
+    ) {
+      fail(`must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(
+        schema.minLength === 1
+          ? "must not be empty"
+          : `must be at least ${schema.minLength} characters`,
+      );
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (schema.format === "date-time" && !isTimestamp(value)) {
+    fail("must be an ISO 8601 date or epoch milliseconds");
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(
+        schema.minItems === 1
+          ? "must not be empty"
+          : `must have at least ${schema.minItems} items`,
+      );
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => {
+        errors.push(...validateValue(schema.items, item, joinField(field, i)));
+      });
+    }
+  } else if (typeof value === "object") {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push({ field: joinField(field, name), message: "is required" });
+      }
+    }
+    for (const [name, item] of Object.entries(value)) {
+      const itemField = joinField(field, name);
+      if (properties[name]) {
+        if (item !== undefined) {
+          errors.push(...validateValue(properties[name], item, itemField));
+        }
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: itemField, message: "is not allowed" });
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(
+          ...validateValue(schema.additionalProperties, item, itemField),
+        );
+      }
+    }
+  }
+  return errors;
+}
+
+// Query and path values arrive as strings; numbers are converted before
+// they are checked.
+function coerceParameters(schema, values) {
+  const coerced = { ...values };
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    const value = coerced[name];
+    const types = [].concat(property.type);
+    if (
+      typeof value === "string" &&
+      (types.includes("integer") || types.includes("number")) &&
+      value.trim() !== "" &&
+      !isNaN(Number(value))
+    ) {
+      coerced[name] = Number(value);
+    }
+  }
+  return coerced;
+}
+
+/** Turns validation errors into the `error` sentence of a 400 body. */
+function describeErrors(errors) {
+  return errors
+    .map((e) => `${e.field || e.in || "value"}: ${e.message}`)
+    .join("; ");
+}
+
+/**
+ * Sends 400 for a list of { in, field, message }. Handlers use it for
+ * checks a schema cannot express, so every 400 has the same shape.
+ */
+function invalidRequest(res, errors) {
+  return res.status(400).json({ error: describeErrors(errors), errors });
+}
+
+/**
+ * Checks a request's path parameters, query string and JSON body against
+ * { params, query, body } schemas. Returns the errors with their `in` set.
+ */
+function validateRequestParts(schemas, req) {
+  const errors = [];
+  const check = (location, schema, value) => {
+    for (const error of validateValue(schema, value)) {
+      errors.push({ in: location, ...error });
+    }
+  };
+  if (schemas.params) {
+    check("path", schemas.params, coerceParameters(schemas.params, req.params));
+  }
+  if (schemas.query) {
+    check("query", schemas.query, coerceParameters(schemas.query, req.query));
+  }
+  if (schemas.body) {
+    if (req.body === undefined) {
+      errors.push({
+        in: "body",
+        field: "",
+        message: "must be JSON sent with Content-Type: application/json",
+      });
+    } else {
+      check("body", schemas.body, req.body);
+    }
+  }
+  return errors;
+}
+
+/** Middleware answering 400 when a request does not match `schemas`. */
+function validateRequest(schemas) {
+  return (req, res, next) => {
+    const errors = validateRequestParts(schemas, req);
+    if (errors.length > 0) return invalidRequest(res, errors);
+    next();
+  };
+}
+
+module.exports = {
+  validateValue,
+  describeErrors,
+  invalidRequest,
+  validateRequest,
+};
@@ -0,0 +1,61 @@
+// Row formatting for GET /project/:id/violations/export. Each format turns
+// violation rows into text chunks so the endpoint can stream them.
+
+const COLUMNS = [
+  "violation_id",
+  "car_plate",
+  "vehicle_class",
+  "car_speed",
+  "timestamp",
+];
+
+function escapeCsvField(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  // Spreadsheet apps run cells starting with these characters as formulas
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+function csvLine(values) {
+  return values.map(escapeCsvField).join(",") + "\r\n";
+}
+
+const csv = {
+  contentType: "text/csv; charset=utf-8",
+  extension: "csv",
+  header: () => csvLine(COLUMNS),
+  row: (violation) => csvLine(COLUMNS.map((c) => violation[c])),
+};
+
+// Excel only detects UTF-8 CSV files that start with a byte order mark
+const xlsxCsv = {
+  ...csv,
+  header: () => "\uFEFF" + csv.header(),
+};
+
+const ndjson = {
+  contentType: "application/x-ndjson",
+  extension: "ndjson",
+  header: () => "",
+  row: (violation) => {
+    const record = {};
+    for (const c of COLUMNS) record[c] = violation[c];
+    return JSON.stringify(record) + "\n";
+  },
+};
+
+const EXPORT_FORMATS = {
+  csv,
+  "xlsx-csv": xlsxCsv,
+  ndjson,
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+};
@@ -0,0 +1,297 @@
+// Outgoing webhooks.
+//
+// A project can subscribe URLs to its events. Every event a subscription
+// asks for is stored in webhook_deliveries first and then POSTed by a
+// worker, so deliveries survive restarts and failed ones are retried with
+// exponential backoff. Delivery is at least once: a receiver may see the
+// same X-Webhook-Delivery id twice.
+//
+// Each request is signed with the webhook's secret:
+//
+//   X-Webhook-Timestamp: 1760000000
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+//
+// `node Server/webhooks.js listen <port> <secret>` runs a receiver that
+// checks signatures and prints what arrives, for trying webhooks locally.
+
+const crypto = require("crypto");
+const http = require("http");
+const { statements } = require("./database.js");
+const { PROJECT_EVENTS } = require("./event-stream.js");
+
+// Webhooks can subscribe to any project event (see event-stream.js); the
+// payload is the same as the Socket.IO event of the same name.
+const WEBHOOK_EVENTS = PROJECT_EVENTS;
+
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_MS = 10 * 1000; // 10 s, 20 s, 40 s ... capped below
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const DELIVERY_BATCH_SIZE = 20;
+const POLL_INTERVAL_MS = 2000;
+const DELIVERY_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_ERROR_LENGTH = 500;
+
+const activeWebhooks = {}; // project_id -> rows from getActiveWebhooks
+let draining = false;
+let drainAgain = false;
+
+// --- Validation ---
+function createWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+function parseWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    throw new Error("must be an absolute http(s) URL");
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new Error("must be an absolute http(s) URL");
+  }
+  return url.toString();
+}
+
+/**
+ * Validates an event list received from a client. Returns the events in
+ * canonical order or throws.
+ */
+function parseWebhookEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new Error("events must be a non-empty list");
+  }
+  for (const event of events) {
+    if (!WEBHOOK_EVENTS.includes(event)) {
+      throw new Error(`Unknown event: ${event}`);
+    }
+  }
+  return WEBHOOK_EVENTS.filter((event) => events.includes(event));
+}
+
+function signWebhookPayload(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+// --- Queueing ---
+async function loadActiveWebhooks(projectId, db) {
+  if (!activeWebhooks[projectId]) {
+    const rows = await statements.getActiveWebhooks(projectId, db);
+    activeWebhooks[projectId] = rows.map((row) => ({
+      ...row,
+      events: row.events.split(","),
+    }));
+  }
+  return activeWebhooks[projectId];
+}
+
+// Call after a project's webhooks change
+function forgetWebhooks(projectId) {
+  delete activeWebhooks[projectId];
+}
+
+/**
+ * Queues `event` for every active webhook of the project subscribed to it.
+ * A violations-added batch is also queued as one violation-added per
+ * violation for webhooks subscribed to that. Errors are logged; publishing
+ * never fails the caller.
+ */
+async function publishWebhookEvent(projectId, event, data, db) {
+  await queueWebhookEvent(projectId, event, data, db);
+  if (event === "violations-added") {
+    for (const violation of data.violations) {
+      await queueWebhookEvent(projectId, "violation-added", violation, db);
+    }
+  }
+}
+
+async function queueWebhookEvent(projectId, event, data, db) {
+  try {
+    const webhooks = await loadActiveWebhooks(projectId, db);
+    const subscribed = webhooks.filter((w) => w.events.includes(event));
+    if (subscribed.length === 0) return;
+
+    const body = JSON.stringify({
+      event,
+      project_id: projectId,
+      created_at: new Date().toISOString(),
+      data,
+    });
+    for (const webhook of subscribed) {
+      await statements.enqueueWebhookDelivery(
+        projectId,
+        webhook.webhook_id,
+        event,
+        body,
+        db,
+      );
+    }
+    drainWebhookQueue(db);
+  } catch (err) {
+    console.error(`Error queueing ${event} webhook:`, err);
+  }
+}
+
+// Queues a `ping` delivery for one webhook regardless of its events
+async function sendTestDelivery(projectId, webhookId, db) {
+  const body = JSON.stringify({
+    event: "ping",
+    project_id: projectId,
+    created_at: new Date().toISOString(),
+    data: { webhook_id: webhookId },
+  });
+  const deliveryId = await statements.enqueueWebhookDelivery(
+    projectId,
+    webhookId,
+    "ping",
+    body,
+    db,
+  );
+  drainWebhookQueue(db);
+  return deliveryId;
+}
+
+// --- Delivery ---
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+async function attemptDelivery(delivery) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = signWebhookPayload(
+    delivery.secret,
+    timestamp,
+    delivery.payload,
+  );
+  try {
+    const res = await fetch(delivery.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "smart-checkpoints-webhooks",
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Delivery": String(delivery.delivery_id),
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": `sha256=${signature}`,
+      },
+      body: delivery.payload,
+      redirect: "manual",
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    });
+    // The body is not used; drain it so the connection can be reused
+    await res.arrayBuffer().catch(() => {});
+    return res.ok
+      ? { ok: true, status: res.status }
+      : { ok: false, status: res.status, error: `HTTP ${res.status}` };
+  } catch (err) {
+    const cause = err.cause ? `: ${err.cause.message || err.cause}` : "";
+    return { ok: false, status: null, error: `${err.message}${cause}` };
+  }
+}
+
+async function deliver(delivery, db) {
+  const result = await attemptDelivery(delivery);
+  const attempts = delivery.attempts + 1;
+  const exhausted = !result.ok && attempts >= MAX_ATTEMPTS;
+  await statements.recordWebhookAttempt(
+    delivery.delivery_id,
+    {
+      status: result.ok ? "delivered" : exhausted ? "failed" : "pending",
+      attempts,
+      next_attempt_at:
+        result.ok || exhausted
+          ? null
+          : new Date(Date.now() + retryDelay(attempts)).toISOString(),
+      response_status: result.status,
+      last_error: result.error ? result.error.slice(0, MAX_ERROR_LENGTH) : null,
+    },
+    db,
+  );
+}
+
+/**
+ * Sends every delivery that is due. Only one drain runs at a time; a call
+ * made meanwhile makes the running drain look again when it finishes.
+ */
+async function drainWebhookQueue(db) {
+  if (draining) {
+    drainAgain = true;
+    return;
+  }
+  draining = true;
+  try {
+    do {
+      drainAgain = false;
+      let due;
+      do {
+        due = await statements.getDueWebhookDeliveries(DELIVERY_BATCH_SIZE, db);
+        await Promise.all(due.map((delivery) => deliver(delivery, db)));
+      } while (due.length === DELIVERY_BATCH_SIZE);
+    } while (drainAgain);
+  } catch (err) {
+    console.error("Webhook delivery error:", err);
+  } finally {
+    draining = false;
+  }
+}
+
+/** Polls for retries that have come due and prunes the delivery log. */
+function startWebhookWorker(db) {
+  setInterval(() => drainWebhookQueue(db), POLL_INTERVAL_MS).unref();
+  const prune = () => {
+    const before = new Date(Date.now() - DELIVERY_RETENTION_MS).toISOString();
+    statements
+      .pruneWebhookDeliveries(before, db)
+      .catch((err) => console.error("Error pruning webhook deliveries:", err));
+  };
+  setInterval(prune, 60 * 60 * 1000).unref();
+  prune();
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  createWebhookSecret,
+  parseWebhookUrl,
+  parseWebhookEvents,
+  signWebhookPayload,
+  forgetWebhooks,
+  publishWebhookEvent,
+  sendTestDelivery,
+  startWebhookWorker,
+};
+
+// --- Local test receiver ---
+function listen(port, secret) {
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const timestamp = req.headers["x-webhook-timestamp"];
+      const expected = `sha256=${signWebhookPayload(secret, timestamp, body)}`;
+      const valid = req.headers["x-webhook-signature"] === expected;
+      console.log(
+        `${new Date().toISOString()} #${req.headers["x-webhook-delivery"]} ${req.headers["x-webhook-event"]} signature ${valid ? "ok" : "INVALID"}`,
+      );
+      console.log(body);
+      res.writeHead(valid ? 204 : 401);
+      res.end();
+    });
+  });
+  server.listen(port, () => {
+    console.log(`Webhook receiver on http://localhost:${port}/`);
+  });
+}
+
+if (require.main === module) {
+  const [command, port, secret] = process.argv.slice(2);
+  if (command !== "listen" || !port || !secret) {
+    console.error("Usage: node Server/webhooks.js listen <port> <secret>");
+    process.exit(1);
+  }
+  listen(Number(port), secret);
+}